@@ -0,0 +1,97 @@
+import fs from 'fs';
+import { loadConfig } from './config.js';
+
+// Why a user is excluded: blocked by us (spam, abuse) or opted out themselves
+export const BLOCK_KINDS = ['blocked', 'opt-out'];
+
+/**
+ * Users who must never be invited, independent of the invite ledger.
+ *
+ * Entries are keyed by lowercase login and may carry a reason and an expiry;
+ * an expired entry is kept on disk (so `list` can show it) but no longer
+ * blocks the user.
+ */
+class Blocklist {
+    // With `dryRun`, changes are kept in memory only and never written to disk.
+    constructor(blocklistPath = loadConfig().paths.blocklist, { dryRun = false } = {}) {
+        this.blocklistPath = blocklistPath;
+        this.dryRun = dryRun;
+        this.data = { version: 1, entries: {} };
+        this.load();
+    }
+
+    load() {
+        if (!fs.existsSync(this.blocklistPath)) return;
+
+        const content = fs.readFileSync(this.blocklistPath, 'utf8');
+        if (!content.trim()) return;
+
+        try {
+            this.data = JSON.parse(content);
+        } catch (error) {
+            throw new Error(`Blocklist ${this.blocklistPath} is corrupted: ${error.message}`);
+        }
+    }
+
+    save() {
+        if (this.dryRun) return;
+        const tempPath = `${this.blocklistPath}.tmp`;
+        fs.writeFileSync(tempPath, JSON.stringify(this.data, null, 2), 'utf8');
+        fs.renameSync(tempPath, this.blocklistPath);
+    }
+
+    isExpired(entry, now = Date.now()) {
+        return Boolean(entry.expires_at) && new Date(entry.expires_at).getTime() <= now;
+    }
+
+    // The active entry for a user, or null if they are not (or no longer) blocked
+    get(username, now = Date.now()) {
+        const entry = this.data.entries[username.toLowerCase()];
+        return entry && !this.isExpired(entry, now) ? entry : null;
+    }
+
+    isBlocked(username, now = Date.now()) {
+        return this.get(username, now) !== null;
+    }
+
+    // Add or replace a user's entry and persist the blocklist
+    add(username, { kind = 'blocked', reason = null, expiresAt = null } = {}) {
+        if (!BLOCK_KINDS.includes(kind)) {
+            throw new Error(`Unknown blocklist kind: ${kind}`);
+        }
+        const entry = {
+            username,
+            kind,
+            reason,
+            added_at: new Date().toISOString(),
+            expires_at: expiresAt ? new Date(expiresAt).toISOString() : null
+        };
+        this.data.entries[username.toLowerCase()] = entry;
+        this.save();
+        return entry;
+    }
+
+    remove(username) {
+        const key = username.toLowerCase();
+        if (!this.data.entries[key]) return false;
+        delete this.data.entries[key];
+        this.save();
+        return true;
+    }
+
+    // Every entry, sorted by login, with an `expired` flag
+    list(now = Date.now()) {
+        return Object.values(this.data.entries)
+            .map(entry => ({ ...entry, expired: this.isExpired(entry, now) }))
+            .sort((a, b) => a.username.localeCompare(b.username));
+    }
+
+    // Readable description of why a user is blocked, e.g. "opted out: asked by email"
+    describe(entry) {
+        const label = entry.kind === 'opt-out' ? 'opted out' : 'blocked';
+        const until = entry.expires_at ? ` until ${entry.expires_at.split('T')[0]}` : '';
+        return `${label}${until}${entry.reason ? `: ${entry.reason}` : ''}`;
+    }
+}
+
+export default Blocklist;
@@ -0,0 +1,177 @@
+import fs from 'fs';
+import { validateRules } from './qualification_rules.js';
+import { parseGitHubQuery, validateSearchFilters } from './user_search.js';
+
+// Settings of one campaign in the config's "campaigns"; only "query" is required
+export const DEFAULT_CAMPAIGN = {
+    // A keyword search, without created: (campaigns add their own)
+    query: null,
+    // Team new invitees join; null uses the config's teams
+    team: null,
+    // Qualification rules that override the config's for this campaign
+    qualification: {},
+    // Fraction of dailyInviteLimit this campaign may queue each day; null for no cap
+    dailyShare: null,
+    // How often the campaign is due: "12h", "1d", "7d", ...
+    every: '1d',
+    // Queue candidates as approved (sent by `queue run` or `schedule`) instead of pending
+    autoApprove: false,
+    enabled: true
+};
+
+const INTERVAL_PATTERN = /^(\d+)([hd])$/;
+const INTERVAL_UNITS = { h: 60 * 60 * 1000, d: 24 * 60 * 60 * 1000 };
+
+// Campaign states share the store's "checkpoints" table with search checkpoints
+const STORE_KEY_PREFIX = 'campaign:';
+
+// Length in ms of an interval such as "12h" or "7d", or null if it is malformed
+export function parseInterval(value) {
+    const match = typeof value === 'string' ? value.match(INTERVAL_PATTERN) : null;
+    return match && Number(match[1]) > 0 ? Number(match[1]) * INTERVAL_UNITS[match[2]] : null;
+}
+
+export function validateCampaigns(campaigns, prefix = 'campaigns') {
+    if (!campaigns || typeof campaigns !== 'object' || Array.isArray(campaigns)) {
+        return [`"${prefix}" must be an object`];
+    }
+
+    const problems = [];
+    for (const [name, campaign] of Object.entries(campaigns)) {
+        const at = `${prefix}.${name}`;
+        if (!/^[a-z0-9][a-z0-9_-]*$/i.test(name)) {
+            problems.push(`campaign name "${name}" may only contain letters, digits, "-" and "_"`);
+        }
+        if (!campaign || typeof campaign !== 'object' || Array.isArray(campaign)) {
+            problems.push(`"${at}" must be an object`);
+            continue;
+        }
+
+        for (const [key, value] of Object.entries(campaign)) {
+            if (!(key in DEFAULT_CAMPAIGN)) {
+                problems.push(`unknown setting "${at}.${key}"`);
+            } else if (key === 'query') {
+                if (typeof value !== 'string' || !value.trim()) continue;
+                const filters = parseGitHubQuery(value);
+                problems.push(...validateSearchFilters(filters).map(error => `"${at}.query": ${error}`));
+                if (filters.created) {
+                    problems.push(`"${at}.query" must not use created:, campaigns add it to find new users`);
+                }
+            } else if (key === 'team') {
+                if (value !== null && !(typeof value === 'string' && /^[a-z0-9][a-z0-9_-]*$/i.test(value))) {
+                    problems.push(`"${at}.team" must be a team slug or null`);
+                }
+            } else if (key === 'qualification') {
+                problems.push(...validateRules(value, `${at}.qualification`));
+            } else if (key === 'dailyShare') {
+                if (value !== null && !(typeof value === 'number' && value > 0 && value <= 1)) {
+                    problems.push(`"${at}.dailyShare" must be a number above 0 and at most 1, or null`);
+                }
+            } else if (key === 'every') {
+                if (parseInterval(value) === null) {
+                    problems.push(`"${at}.every" must be a number of hours or days such as "12h" or "7d"`);
+                }
+            } else if (typeof value !== 'boolean') {
+                problems.push(`"${at}.${key}" must be true or false`);
+            }
+        }
+        if (typeof campaign.query !== 'string' || !campaign.query.trim()) {
+            problems.push(`"${at}.query" must be a non-empty search query`);
+        }
+    }
+    return problems;
+}
+
+function emptyState() {
+    return {
+        last_run_at: null,
+        // Sign-up day new matches are searched from (the last complete search's end)
+        since: null,
+        // Users found but not checked yet because the daily share was used up
+        carry_over: [],
+        queued_on: { day: null, count: 0 },
+        last_result: null
+    };
+}
+
+/**
+ * What each campaign has done so far, keyed by campaign name: when it last
+ * ran, the sign-up day its next search starts from, the candidates it could
+ * not queue yet and how many it queued today.
+ */
+class CampaignState {
+    // With `dryRun`, changes are kept in memory only and never written to disk.
+    // With a `store` (SqliteStore), each campaign is a row of its "checkpoints" table.
+    constructor(statePath, { dryRun = false, store = null } = {}) {
+        this.statePath = statePath;
+        this.dryRun = dryRun;
+        this.store = store;
+        this.data = { version: 1, campaigns: {} };
+        // Campaigns changed since the last save
+        this.dirty = new Set();
+        this.load();
+    }
+
+    load() {
+        if (this.store) {
+            for (const [key, state] of Object.entries(this.store.all('checkpoints'))) {
+                if (key.startsWith(STORE_KEY_PREFIX)) {
+                    this.data.campaigns[key.slice(STORE_KEY_PREFIX.length)] = state;
+                }
+            }
+            return;
+        }
+        if (!fs.existsSync(this.statePath)) return;
+
+        const content = fs.readFileSync(this.statePath, 'utf8');
+        if (!content.trim()) return;
+
+        try {
+            this.data = JSON.parse(content);
+        } catch (error) {
+            throw new Error(`Campaign state ${this.statePath} is corrupted: ${error.message}`);
+        }
+    }
+
+    save() {
+        if (this.dryRun) return;
+        if (this.store) {
+            this.store.putMany('checkpoints', [...this.dirty].map(name => [`${STORE_KEY_PREFIX}${name}`, this.data.campaigns[name]]));
+            this.dirty.clear();
+            return;
+        }
+        this.dirty.clear();
+        const tempPath = `${this.statePath}.tmp`;
+        fs.writeFileSync(tempPath, JSON.stringify(this.data, null, 2), 'utf8');
+        fs.renameSync(tempPath, this.statePath);
+    }
+
+    // The state of a campaign (created empty on first use); changes to it are saved by save()
+    get(name) {
+        if (!this.data.campaigns[name]) {
+            this.data.campaigns[name] = emptyState();
+        }
+        this.dirty.add(name);
+        return this.data.campaigns[name];
+    }
+
+    isDue(name, campaign, now = Date.now()) {
+        const lastRun = this.data.campaigns[name]?.last_run_at;
+        return !lastRun || new Date(lastRun).getTime() + parseInterval(campaign.every) <= now;
+    }
+
+    // Candidates the campaign may still queue today under its daily share
+    queueAllowance(name, campaign, dailyInviteLimit, today = new Date().toISOString().slice(0, 10)) {
+        if (campaign.dailyShare === null) return Infinity;
+        const { queued_on: queuedOn } = this.get(name);
+        const queuedToday = queuedOn.day === today ? queuedOn.count : 0;
+        return Math.max(0, Math.floor(campaign.dailyShare * dailyInviteLimit) - queuedToday);
+    }
+
+    addQueued(name, count, today = new Date().toISOString().slice(0, 10)) {
+        const state = this.get(name);
+        state.queued_on = { day: today, count: (state.queued_on.day === today ? state.queued_on.count : 0) + count };
+    }
+}
+
+export default CampaignState;
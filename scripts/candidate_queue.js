@@ -0,0 +1,133 @@
+import fs from 'fs';
+
+// pending: waiting for review; approved: will be invited by `queue run`;
+// rejected: never invited from the queue; invited: done; skipped: no longer
+// needed an invite by the time it was approved (joined, invited or blocked)
+export const QUEUE_STATUSES = ['pending', 'approved', 'rejected', 'invited', 'skipped'];
+
+/**
+ * Candidates collected from invite sources, waiting for a maintainer to
+ * approve or reject them. Entries are keyed by lowercase login and keep the
+ * profile data they were qualified with, so reviews don't need the API.
+ */
+class CandidateQueue {
+    // With `dryRun`, changes are kept in memory only and never written to disk.
+    // With a `store` (SqliteStore), candidates live in its "candidates" table
+    // and save() only writes the entries that changed.
+    constructor(queuePath, { dryRun = false, store = null } = {}) {
+        this.queuePath = queuePath;
+        this.dryRun = dryRun;
+        this.store = store;
+        this.data = { version: 1, candidates: {} };
+        // Keys of candidates changed since the last save
+        this.dirty = new Set();
+        this.load();
+    }
+
+    load() {
+        if (this.store) {
+            this.data = { version: 1, candidates: this.store.all('candidates') };
+            return;
+        }
+        if (!fs.existsSync(this.queuePath)) return;
+
+        const content = fs.readFileSync(this.queuePath, 'utf8');
+        if (!content.trim()) return;
+
+        try {
+            this.data = JSON.parse(content);
+        } catch (error) {
+            throw new Error(`Candidate queue ${this.queuePath} is corrupted: ${error.message}`);
+        }
+    }
+
+    save() {
+        if (this.dryRun) return;
+        if (this.store) {
+            this.store.putMany('candidates', [...this.dirty].map(key => [key, this.data.candidates[key]]));
+            this.dirty.clear();
+            return;
+        }
+        this.dirty.clear();
+        const tempPath = `${this.queuePath}.tmp`;
+        fs.writeFileSync(tempPath, JSON.stringify(this.data, null, 2), 'utf8');
+        fs.renameSync(tempPath, this.queuePath);
+    }
+
+    get(username) {
+        return this.data.candidates[username.toLowerCase()] || null;
+    }
+
+    // Add a candidate found by `source`. A user already in the queue keeps
+    // their status (a rejected user is not re-queued); only the source and
+    // profile are updated. `teams` (slugs) overrides the teams the user is
+    // invited into. Returns true if the user is new to the queue.
+    add(username, { source, profile = null, teams = null }) {
+        const now = new Date().toISOString();
+        const existing = this.get(username);
+        if (existing) {
+            if (!existing.sources.includes(source)) {
+                existing.sources.push(source);
+            }
+            if (profile) {
+                existing.profile = profile;
+            }
+            this.dirty.add(username.toLowerCase());
+            return false;
+        }
+
+        this.data.candidates[username.toLowerCase()] = {
+            username,
+            status: 'pending',
+            sources: [source],
+            added_at: now,
+            profile,
+            teams,
+            decided_at: null,
+            note: null
+        };
+        this.dirty.add(username.toLowerCase());
+        return true;
+    }
+
+    setStatus(username, status, note = null) {
+        if (!QUEUE_STATUSES.includes(status)) {
+            throw new Error(`Unknown queue status: ${status}`);
+        }
+        const entry = this.get(username);
+        if (!entry) return false;
+
+        entry.status = status;
+        entry.decided_at = new Date().toISOString();
+        entry.note = note;
+        this.dirty.add(username.toLowerCase());
+        return true;
+    }
+
+    // Entries matching a filter, oldest first. Supported filter keys:
+    // status, source (with * wildcards), minFollowers, minRepos and location
+    // (case-insensitive substring).
+    find({ status = null, source = null, minFollowers = null, minRepos = null, location = null } = {}) {
+        const sourcePattern = source
+            ? new RegExp(`^${source.split('*').map(part => part.replace(/[.+?^${}()|[\]\\]/g, '\\$&')).join('.*')}$`, 'i')
+            : null;
+
+        return Object.values(this.data.candidates)
+            .filter(entry => !status || entry.status === status)
+            .filter(entry => !sourcePattern || entry.sources.some(entrySource => sourcePattern.test(entrySource)))
+            .filter(entry => minFollowers === null || (entry.profile?.followers || 0) >= minFollowers)
+            .filter(entry => minRepos === null || (entry.profile?.public_repos || 0) >= minRepos)
+            .filter(entry => !location || (entry.profile?.location || '').toLowerCase().includes(location.toLowerCase()))
+            .sort((a, b) => a.added_at.localeCompare(b.added_at));
+    }
+
+    statusCounts() {
+        const counts = Object.fromEntries(QUEUE_STATUSES.map(status => [status, 0]));
+        for (const entry of Object.values(this.data.candidates)) {
+            counts[entry.status]++;
+        }
+        return counts;
+    }
+}
+
+export default CandidateQueue;
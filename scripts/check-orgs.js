@@ -1,27 +1,12 @@
-import fetch from 'node-fetch';
 import 'dotenv/config';
+import { createClientFromEnv } from './github_client.js';
 
-const GITHUB_TOKEN = process.env.GITHUB_TOKEN;
-
-if (!GITHUB_TOKEN) {
-  console.error('❌ Error: GITHUB_TOKEN not found in environment');
-  process.exit(1);
-}
-
-const headers = {
-  Authorization: `token ${GITHUB_TOKEN}`,
-  Accept: 'application/vnd.github+json',
-};
+const github = createClientFromEnv();
 
 async function checkOrgs() {
   try {
     console.log('🔍 Checking your organizations...\n');
-    const res = await fetch('https://api.github.com/user/orgs', { headers });
-    const orgs = await res.json();
-    
-    if (!res.ok) {
-      throw new Error(orgs.message);
-    }
+    const orgs = await github.paginate('/user/orgs');
     
     console.log('✅ You have access to these organizations:');
     orgs.forEach(org => console.log(`   • ${org.login}`));
@@ -31,4 +16,4 @@ async function checkOrgs() {
   }
 }
 
-checkOrgs(); 
\ No newline at end of file
+checkOrgs(); 
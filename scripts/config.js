@@ -0,0 +1,300 @@
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { DEFAULT_RULES, validateRules } from './qualification_rules.js';
+import { DEFAULT_SCHEDULE, validateSchedule } from './scheduler.js';
+import { DEFAULT_CAMPAIGN, validateCampaigns } from './campaigns.js';
+import { DEFAULT_CRAWL_OPTIONS, validateCrawlOptions } from './contributor_crawl.js';
+import { DEFAULT_ACTIVITY_OPTIONS, validateActivityOptions } from './repo_activity.js';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+export const ROOT_DIR = path.join(__dirname, '..');
+export const DEFAULT_CONFIG_PATH = path.join(ROOT_DIR, 'khc.config.json');
+
+export const INVITE_ROLES = ['direct_member', 'admin', 'billing_manager'];
+
+// Where invites, candidates, profiles and scan progress are kept, see storage.js
+export const STORAGE_BACKENDS = ['json', 'sqlite'];
+
+// Where a profile's data files live unless it sets "dataDir"
+const PROFILES_DIR = 'profiles';
+
+// Files shared by every profile, always resolved against the config file's directory
+const SHARED_PATHS = ['blocklist'];
+
+export const DEFAULT_CONFIG = {
+    org: 'Krypto-Hashers-Community',
+    team: 'support',
+    teams: null,
+    role: 'direct_member',
+    // Invites allowed in any 24-hour (and, if set, any 1-hour) window, see invite_quota.js
+    dailyInviteLimit: 50,
+    hourlyInviteLimit: null,
+    delayBetweenInvitesMs: 2000,
+    maxFailedInvites: 20,
+    staleInviteDays: 7,
+    // Rules candidates must pass before being invited, see qualification_rules.js
+    qualification: DEFAULT_RULES,
+    // Sending window and quota for the `schedule` command, see scheduler.js
+    schedule: DEFAULT_SCHEDULE,
+    // Saved searches run by `campaigns run`, keyed by name, see campaigns.js
+    campaigns: {},
+    // How far `invite contributors` crawls, see contributor_crawl.js
+    contributors: DEFAULT_CRAWL_OPTIONS,
+    // Date window and threshold of `invite repo-activity`, see repo_activity.js
+    activity: DEFAULT_ACTIVITY_OPTIONS,
+    storage: 'json',
+    paths: {
+        // Legacy text log, only read to convert it into the event log
+        log: 'invitation_log.txt',
+        events: 'invitation_events.jsonl',
+        ledger: 'invited_users.json',
+        stats: 'invitation_stats.json',
+        report: 'invitation_report.md',
+        searchProgress: 'search_progress.json',
+        scanProgress: 'scan_progress.json',
+        members: 'org_members.json',
+        followedUsers: 'followed_users.json',
+        usersDataDir: 'users_data',
+        backupDir: 'log_backups',
+        blocklist: 'blocklist.json',
+        plan: 'dry_run_plan.json',
+        queue: 'candidate_queue.json',
+        campaigns: 'campaign_state.json',
+        contributorProgress: 'contributor_progress.json',
+        runs: 'runs',
+        // Only used by the "sqlite" storage backend
+        database: 'khc.sqlite'
+    }
+};
+
+// Environment variables that override a config value, and how to parse them
+const ENV_OVERRIDES = {
+    ORG: ['org', String],
+    TEAM: ['team', String],
+    INVITE_ROLE: ['role', String],
+    DAILY_INVITE_LIMIT: ['dailyInviteLimit', Number],
+    HOURLY_INVITE_LIMIT: ['hourlyInviteLimit', Number],
+    INVITE_DELAY_MS: ['delayBetweenInvitesMs', Number],
+    MAX_FAILED_INVITES: ['maxFailedInvites', Number],
+    STALE_INVITE_DAYS: ['staleInviteDays', Number],
+    STORAGE_BACKEND: ['storage', String]
+};
+
+// Overrides a selected profile takes precedence over, since each profile has its own org and teams
+const PROFILE_ENV_OVERRIDES = ['ORG', 'TEAM'];
+
+export class ConfigError extends Error {
+    constructor(configPath, problems) {
+        super(`Invalid configuration in ${configPath}:\n${problems.map(problem => `  - ${problem}`).join('\n')}`);
+        this.name = 'ConfigError';
+        this.problems = problems;
+    }
+}
+
+const isTeamSlug = value => typeof value === 'string' && /^[a-z0-9][a-z0-9_-]*$/i.test(value);
+
+// Report settings that are not part of DEFAULT_CONFIG (usually typos) and invalid
+// values in the qualification, schedule, campaigns, contributors and activity sections
+function findUnknownKeys(settings, prefix = '', extraKeys = []) {
+    const problems = [];
+    if (settings.qualification !== undefined) {
+        problems.push(...validateRules(settings.qualification, `${prefix}qualification`));
+    }
+    if (settings.schedule !== undefined) {
+        problems.push(...validateSchedule(settings.schedule, `${prefix}schedule`));
+    }
+    if (settings.campaigns !== undefined) {
+        problems.push(...validateCampaigns(settings.campaigns, `${prefix}campaigns`));
+    }
+    if (settings.contributors !== undefined) {
+        problems.push(...validateCrawlOptions(settings.contributors, `${prefix}contributors`));
+    }
+    if (settings.activity !== undefined) {
+        problems.push(...validateActivityOptions(settings.activity, `${prefix}activity`));
+    }
+    for (const key of Object.keys(settings)) {
+        if (!(key in DEFAULT_CONFIG) && !extraKeys.includes(key)) {
+            problems.push(`unknown setting "${prefix}${key}"`);
+        }
+    }
+    for (const key of Object.keys(settings.paths || {})) {
+        if (!(key in DEFAULT_CONFIG.paths)) {
+            problems.push(`unknown path "${prefix}paths.${key}"`);
+        }
+    }
+    return problems;
+}
+
+function validateConfig(config) {
+    const problems = [];
+    const isPositiveInteger = value => Number.isInteger(value) && value > 0;
+    const isNonNegativeInteger = value => Number.isInteger(value) && value >= 0;
+
+    if (typeof config.org !== 'string' || !/^[A-Za-z0-9](?:[A-Za-z0-9-]*[A-Za-z0-9])?$/.test(config.org)) {
+        problems.push('"org" must be a GitHub organization login');
+    }
+    if (!isTeamSlug(config.team)) {
+        problems.push('"team" must be a team slug, e.g. "support"');
+    }
+    if (config.teams !== null && (!Array.isArray(config.teams) || config.teams.length === 0 || !config.teams.every(isTeamSlug))) {
+        problems.push('"teams" must be a non-empty list of team slugs');
+    }
+    if (!INVITE_ROLES.includes(config.role)) {
+        problems.push(`"role" must be one of ${INVITE_ROLES.join(', ')}`);
+    }
+    if (!isPositiveInteger(config.dailyInviteLimit)) {
+        problems.push('"dailyInviteLimit" must be a positive integer');
+    }
+    if (config.hourlyInviteLimit !== null && !isPositiveInteger(config.hourlyInviteLimit)) {
+        problems.push('"hourlyInviteLimit" must be a positive integer or null');
+    }
+    if (!isNonNegativeInteger(config.delayBetweenInvitesMs)) {
+        problems.push('"delayBetweenInvitesMs" must be a non-negative integer');
+    }
+    if (!isPositiveInteger(config.maxFailedInvites)) {
+        problems.push('"maxFailedInvites" must be a positive integer');
+    }
+    if (typeof config.staleInviteDays !== 'number' || !(config.staleInviteDays >= 0)) {
+        problems.push('"staleInviteDays" must be a non-negative number');
+    }
+    if (!STORAGE_BACKENDS.includes(config.storage)) {
+        problems.push(`"storage" must be one of ${STORAGE_BACKENDS.join(', ')}`);
+    }
+    for (const [key, value] of Object.entries(config.paths)) {
+        if (typeof value !== 'string' || !value.trim()) {
+            problems.push(`"paths.${key}" must be a non-empty string`);
+        }
+    }
+
+    return problems;
+}
+
+// Value of a --profile flag in an argument list, for scripts without their own parser
+export function getProfileArg(argv = process.argv.slice(2)) {
+    for (let i = 0; i < argv.length; i++) {
+        if (argv[i] === '--profile') return argv[i + 1];
+        if (argv[i].startsWith('--profile=')) return argv[i].slice('--profile='.length);
+    }
+    return undefined;
+}
+
+/**
+ * Load khc.config.json (or the file named by KHC_CONFIG / configPath), apply
+ * the selected profile, environment-variable and command-line overrides, and
+ * validate the result.
+ *
+ * Without a profile, relative paths are resolved against the config file's
+ * directory. A profile (from `profiles` in the config) keeps its data files
+ * in its own `dataDir`, `profiles/<name>` by default, so each profile has its
+ * own ledger, stats and progress files.
+ */
+export function loadConfig({
+    configPath = process.env.KHC_CONFIG || DEFAULT_CONFIG_PATH,
+    profile = process.env.KHC_PROFILE || null,
+    env = process.env,
+    overrides = {}
+} = {}) {
+    const resolvedPath = path.resolve(configPath);
+    let fileConfig = {};
+
+    if (fs.existsSync(resolvedPath)) {
+        try {
+            fileConfig = JSON.parse(fs.readFileSync(resolvedPath, 'utf8'));
+        } catch (error) {
+            throw new ConfigError(resolvedPath, [`not valid JSON (${error.message})`]);
+        }
+    } else if (configPath !== DEFAULT_CONFIG_PATH) {
+        // An explicitly requested config file must exist
+        throw new ConfigError(resolvedPath, ['file not found']);
+    }
+
+    const { profiles = {}, ...baseConfig } = fileConfig;
+    const problems = findUnknownKeys(baseConfig);
+    for (const [name, profileConfig] of Object.entries(profiles)) {
+        if (!/^[a-z0-9][a-z0-9_-]*$/i.test(name)) {
+            problems.push(`profile name "${name}" may only contain letters, digits, "-" and "_"`);
+        }
+        if (!profileConfig || typeof profileConfig !== 'object' || Array.isArray(profileConfig)) {
+            problems.push(`profile "${name}" must be an object`);
+            continue;
+        }
+        problems.push(...findUnknownKeys(profileConfig, `profiles.${name}.`, ['dataDir']));
+        if (profileConfig.dataDir !== undefined && (typeof profileConfig.dataDir !== 'string' || !profileConfig.dataDir.trim())) {
+            problems.push(`"profiles.${name}.dataDir" must be a non-empty string`);
+        }
+    }
+
+    if (profile && !profiles[profile]) {
+        const available = Object.keys(profiles);
+        throw new ConfigError(resolvedPath, [
+            `unknown profile "${profile}" (${available.length ? `available: ${available.join(', ')}` : 'no profiles defined'})`
+        ]);
+    }
+
+    const { dataDir, ...profileConfig } = profile ? profiles[profile] : {};
+    const config = {
+        ...DEFAULT_CONFIG,
+        ...baseConfig,
+        ...profileConfig,
+        // Profiles never share data files with the top-level settings, except SHARED_PATHS
+        paths: { ...DEFAULT_CONFIG.paths, ...(profile ? {} : baseConfig.paths), ...profileConfig.paths },
+        // A profile only needs to list the rules it changes
+        qualification: { ...DEFAULT_RULES, ...baseConfig.qualification, ...profileConfig.qualification },
+        schedule: { ...DEFAULT_SCHEDULE, ...baseConfig.schedule, ...profileConfig.schedule },
+        contributors: { ...DEFAULT_CRAWL_OPTIONS, ...baseConfig.contributors, ...profileConfig.contributors },
+        activity: { ...DEFAULT_ACTIVITY_OPTIONS, ...baseConfig.activity, ...profileConfig.activity }
+    };
+    config.campaigns = Object.fromEntries(
+        Object.entries(config.campaigns || {}).map(([name, campaign]) => [name, { ...DEFAULT_CAMPAIGN, ...campaign }])
+    );
+    if ('team' in profileConfig && !('teams' in profileConfig)) {
+        config.teams = null;
+    }
+
+    const envSet = name => env[name] !== undefined && env[name] !== '' && !(profile && PROFILE_ENV_OVERRIDES.includes(name));
+    for (const [name, [key, parse]] of Object.entries(ENV_OVERRIDES)) {
+        if (envSet(name)) {
+            const value = parse(env[name]);
+            if (parse === Number && Number.isNaN(value)) {
+                problems.push(`environment variable ${name} must be a number`);
+            } else {
+                config[key] = value;
+            }
+        }
+    }
+
+    for (const [key, value] of Object.entries(overrides)) {
+        if (value !== undefined && value !== null) {
+            config[key] = value;
+        }
+    }
+    // A single team given on the command line or in the environment replaces the team set
+    if (overrides.team || envSet('TEAM')) {
+        config.teams = null;
+    }
+
+    problems.push(...validateConfig(config));
+    if (problems.length > 0) {
+        throw new ConfigError(resolvedPath, problems);
+    }
+
+    const configDir = path.dirname(resolvedPath);
+    const baseDir = profile ? path.resolve(configDir, dataDir || path.join(PROFILES_DIR, profile)) : configDir;
+    config.configPath = resolvedPath;
+    config.profile = profile;
+    config.profiles = Object.keys(profiles);
+    config.dataDir = baseDir;
+    // "team" is the primary team; "teams" lists every team invitees join
+    config.teams = config.teams || [config.team];
+    config.team = config.teams[0];
+    config.paths = Object.fromEntries(
+        Object.entries(config.paths).map(([key, value]) => [key, path.resolve(SHARED_PATHS.includes(key) ? configDir : baseDir, value)])
+    );
+
+    return config;
+}
+
+export default loadConfig;
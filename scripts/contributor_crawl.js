@@ -0,0 +1,281 @@
+import fs from 'fs';
+import { looksLikeBot } from './qualification_rules.js';
+import { isRefusal } from './github_client.js';
+
+// How far `invite contributors` crawls from the repository it is given
+export const DEFAULT_CRAWL_OPTIONS = {
+    // 0: only the repository's contributors; 1: also the contributors of their
+    // own repositories; 2: one step further, ...
+    depth: 1,
+    // Most recently pushed non-fork repositories crawled per contributor
+    maxReposPerUser: 10,
+    // Contributions (commits) a user needs in a repository to count as its contributor
+    minContributions: 1,
+    // Only count commits since this day ("2024-01-01"); null counts all contributions
+    since: null,
+    // Leave out bot accounts ("[bot]" logins and type Bot)
+    excludeBots: true
+};
+
+// The user repositories endpoint returns at most this many per page
+const MAX_REPOS_PER_USER = 100;
+
+// Crawls share the store's "checkpoints" table with search and campaign checkpoints
+const STORE_KEY_PREFIX = 'contributors:';
+
+const sleep = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+// Problems with crawl options, as readable messages (empty when valid)
+export function validateCrawlOptions(options, prefix = 'contributors') {
+    if (!options || typeof options !== 'object' || Array.isArray(options)) {
+        return [`"${prefix}" must be an object`];
+    }
+
+    const problems = [];
+    for (const [key, value] of Object.entries(options)) {
+        if (!(key in DEFAULT_CRAWL_OPTIONS)) {
+            problems.push(`unknown setting "${prefix}.${key}"`);
+        } else if (key === 'depth') {
+            if (!(Number.isInteger(value) && value >= 0 && value <= 3)) {
+                problems.push(`"${prefix}.depth" must be an integer from 0 to 3`);
+            }
+        } else if (key === 'maxReposPerUser') {
+            if (!(Number.isInteger(value) && value > 0 && value <= MAX_REPOS_PER_USER)) {
+                problems.push(`"${prefix}.maxReposPerUser" must be an integer from 1 to ${MAX_REPOS_PER_USER}`);
+            }
+        } else if (key === 'minContributions') {
+            if (!(Number.isInteger(value) && value > 0)) {
+                problems.push(`"${prefix}.minContributions" must be a positive integer`);
+            }
+        } else if (key === 'since') {
+            if (value !== null && !(typeof value === 'string' && /^\d{4}-\d{2}-\d{2}$/.test(value) && !Number.isNaN(Date.parse(value)))) {
+                problems.push(`"${prefix}.since" must be a date such as "2024-01-01" or null`);
+            }
+        } else if (typeof value !== 'boolean') {
+            problems.push(`"${prefix}.${key}" must be true or false`);
+        }
+    }
+    return problems;
+}
+
+// Checkpoint key of a crawl: the repository plus every option that changes its result
+export function crawlKey(repo, options) {
+    const { depth, maxReposPerUser, minContributions, since, excludeBots } = { ...DEFAULT_CRAWL_OPTIONS, ...options };
+    return `${repo.toLowerCase()} depth:${depth} max-repos:${maxReposPerUser} min-contributions:${minContributions} since:${since || '*'}${excludeBots ? '' : ' bots'}`;
+}
+
+// How a crawl reached a user, e.g. "12 contributions to alice/tool (repo of @alice, depth 1)"
+export function describeReach({ contributions, repo, via, depth }) {
+    const count = `${contributions} contribution${contributions === 1 ? '' : 's'}`;
+    return `${count} to ${repo}${via ? ` (repo of @${via}, depth ${depth})` : ''}`;
+}
+
+/**
+ * Collect the contributors of `repo` ("owner/name") and, up to
+ * `options.depth`, the contributors of the repositories those users own.
+ * Users below `minContributions` and (with `excludeBots`) bot accounts are
+ * left out. With `since`, contributions are the commits since that day.
+ * Returns { users, reached, repos } where `reached` maps each login to how
+ * it was found: { depth, repo, via, contributions }, `via` being the user
+ * whose repository it was (null at depth 0).
+ *
+ * With a `checkpoint` (a crawl of CrawlCheckpoints), repositories and users
+ * it already covers are not fetched again and `onProgress` is called after
+ * each one so it can be saved. Repositories GitHub refuses to list (e.g. too
+ * large or empty) are reported and skipped; other errors stop the crawl.
+ */
+export async function crawlContributors(github, repo, options = {}, { checkpoint = null, onProgress = () => {}, delayMs = 1000, log = console.log } = {}) {
+    const settings = { ...DEFAULT_CRAWL_OPTIONS, ...options };
+    const crawl = checkpoint || { users: {}, repos_done: [], expanded: [], complete: false };
+    const reposDone = new Set(crawl.repos_done);
+    const expanded = new Set(crawl.expanded);
+
+    const pause = async () => {
+        if (delayMs > 0) {
+            await sleep(delayMs);
+        }
+    };
+
+    // Contribution counts of one repository as Map<login, count>
+    const countContributions = async fullName => {
+        const counts = new Map();
+        const add = (user, contributions) => {
+            if (!user || (settings.excludeBots && (user.type === 'Bot' || looksLikeBot(user.login)))) return;
+            counts.set(user.login, (counts.get(user.login) || 0) + contributions);
+        };
+
+        if (settings.since) {
+            // Commits whose author email is not linked to an account have no author
+            for await (const commits of github.pages(`/repos/${fullName}/commits?since=${settings.since}T00:00:00Z`)) {
+                commits.forEach(commit => add(commit.author, 1));
+            }
+        } else {
+            for await (const contributors of github.pages(`/repos/${fullName}/contributors`)) {
+                contributors.forEach(user => add(user, user.contributions));
+            }
+        }
+        return counts;
+    };
+
+    const collectRepo = async (fullName, depth, via) => {
+        let counts;
+        try {
+            counts = await countContributions(fullName);
+        } catch (error) {
+            if (!isRefusal(error)) throw error;
+            log(`⚠️ Could not list contributors of ${fullName}: ${error.message}`);
+            counts = new Map();
+        }
+
+        for (const [login, contributions] of counts) {
+            if (contributions < settings.minContributions || crawl.users[login]) continue;
+            crawl.users[login] = { depth, repo: fullName, via, contributions };
+        }
+        reposDone.add(fullName);
+        crawl.repos_done = Array.from(reposDone);
+        onProgress();
+        await pause();
+    };
+
+    // The user's most recently pushed repositories that are not forks
+    const listRepos = async login => {
+        const repos = await github.get(`/users/${login}/repos?sort=pushed&per_page=${MAX_REPOS_PER_USER}`);
+        return (repos || []).filter(userRepo => !userRepo.fork).slice(0, settings.maxReposPerUser).map(userRepo => userRepo.full_name);
+    };
+
+    if (!reposDone.has(repo)) {
+        log(`📥 Fetching contributors from ${repo}...`);
+        await collectRepo(repo, 0, null);
+    }
+
+    for (let depth = 1; depth <= settings.depth; depth++) {
+        const frontier = Object.keys(crawl.users).filter(login => crawl.users[login].depth === depth - 1);
+        for (const login of frontier) {
+            if (expanded.has(login)) continue;
+
+            log(`🔍 Scanning repositories of @${login} (depth ${depth})...`);
+            let repos = [];
+            try {
+                repos = await listRepos(login);
+            } catch (error) {
+                if (!isRefusal(error)) throw error;
+                log(`⚠️ Could not list the repositories of @${login}: ${error.message}`);
+            }
+            for (const fullName of repos) {
+                if (!reposDone.has(fullName)) {
+                    await collectRepo(fullName, depth, login);
+                }
+            }
+            expanded.add(login);
+            crawl.expanded = Array.from(expanded);
+            onProgress();
+        }
+    }
+
+    crawl.complete = true;
+    onProgress();
+    return { users: Object.keys(crawl.users), reached: crawl.users, repos: reposDone.size };
+}
+
+/**
+ * Checkpoints of contributor crawls, keyed by crawlKey(), so an interrupted
+ * `invite contributors` resumes where it stopped:
+ *
+ *   { key, repo, options, users: { <login>: { depth, repo, via, contributions } },
+ *     repos_done, expanded, complete, started_at, last_run_at }
+ *
+ * `repos_done` lists the repositories whose contributors were collected and
+ * `expanded` the users whose own repositories were crawled.
+ */
+class CrawlCheckpoints {
+    // With `dryRun`, changes are kept in memory only and never written to disk.
+    // With a `store` (SqliteStore), each crawl is a row of its "checkpoints" table.
+    constructor(checkpointsPath, { dryRun = false, store = null } = {}) {
+        this.checkpointsPath = checkpointsPath;
+        this.dryRun = dryRun;
+        this.store = store;
+        this.data = { version: 1, crawls: {} };
+        // Keys changed since the last save
+        this.dirty = new Set();
+        this.load();
+    }
+
+    load() {
+        if (this.store) {
+            for (const [key, crawl] of Object.entries(this.store.all('checkpoints'))) {
+                if (key.startsWith(STORE_KEY_PREFIX)) {
+                    this.data.crawls[key.slice(STORE_KEY_PREFIX.length)] = crawl;
+                }
+            }
+            return;
+        }
+        if (!fs.existsSync(this.checkpointsPath)) return;
+
+        const content = fs.readFileSync(this.checkpointsPath, 'utf8');
+        if (!content.trim()) return;
+
+        try {
+            this.data = JSON.parse(content);
+        } catch (error) {
+            throw new Error(`Crawl checkpoints ${this.checkpointsPath} are corrupted: ${error.message}`);
+        }
+    }
+
+    save() {
+        if (this.dryRun) return;
+        if (this.store) {
+            for (const key of this.dirty) {
+                if (this.data.crawls[key]) {
+                    this.store.put('checkpoints', `${STORE_KEY_PREFIX}${key}`, this.data.crawls[key]);
+                } else {
+                    this.store.remove('checkpoints', `${STORE_KEY_PREFIX}${key}`);
+                }
+            }
+            this.dirty.clear();
+            return;
+        }
+        this.dirty.clear();
+        const tempPath = `${this.checkpointsPath}.tmp`;
+        fs.writeFileSync(tempPath, JSON.stringify(this.data, null, 2), 'utf8');
+        fs.renameSync(tempPath, this.checkpointsPath);
+    }
+
+    get(key) {
+        return this.data.crawls[key] || null;
+    }
+
+    // The checkpoint of a crawl, started now if there is none yet
+    start(key, { repo, options }) {
+        if (!this.data.crawls[key]) {
+            this.data.crawls[key] = {
+                key,
+                repo,
+                options: { ...DEFAULT_CRAWL_OPTIONS, ...options },
+                users: {},
+                repos_done: [],
+                expanded: [],
+                complete: false,
+                started_at: new Date().toISOString(),
+                last_run_at: null
+            };
+        }
+        const crawl = this.data.crawls[key];
+        crawl.last_run_at = new Date().toISOString();
+        this.dirty.add(key);
+        return crawl;
+    }
+
+    // Flag a crawl as changed, e.g. after a repository was added to it
+    touch(key) {
+        this.dirty.add(key);
+    }
+
+    remove(key) {
+        if (!this.data.crawls[key]) return false;
+        delete this.data.crawls[key];
+        this.dirty.add(key);
+        return true;
+    }
+}
+
+export default CrawlCheckpoints;
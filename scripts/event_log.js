@@ -0,0 +1,200 @@
+import fs from 'fs';
+import crypto from 'crypto';
+
+// Bump when the shape of an event changes; readers refuse newer versions
+export const EVENT_LOG_VERSION = 1;
+
+export const EVENT_TYPES = ['invite_sent', 'invite_failed', 'skipped', 'followed', 'cancelled', 'accepted'];
+
+// Prefixes of the source strings invite commands use, e.g. "search-location:India"
+export const SOURCE_TYPES = ['followers', 'org', 'search', 'contributors', 'repo-activity', 'readme', 'sponsors', 'sponsoring', 'single-user', 'campaign', 'cancel-stale', 'reconcile', 'external'];
+
+// Matches "timestamp - source - username" lines of the legacy invitation_log.txt.
+// The source may itself contain " - ", so it is matched lazily between the
+// leading timestamp and the trailing username (logins never contain spaces).
+const LOG_LINE_PATTERN = /^(\d{4}-\d{2}-\d{2}T\d{2}:\d{2}:\d{2}(?:\.\d+)?Z) - (.*) - (\S+)$/;
+
+export function parseLogLine(line) {
+    const match = line.trim().match(LOG_LINE_PATTERN);
+    if (!match) return null;
+    const [, timestamp, source, username] = match;
+    return { timestamp, source, username };
+}
+
+// Split a source string into its type and value: "search-IIT" gives
+// { source_type: 'search', source_value: 'IIT' }. Sources from older
+// versions that match no known type are kept whole as type "other".
+export function parseSource(source) {
+    if (!source) return { source_type: null, source_value: null };
+
+    for (const type of SOURCE_TYPES) {
+        if (source === type) return { source_type: type, source_value: null };
+        if (source.startsWith(`${type}-`) || source.startsWith(`${type}:`)) {
+            return { source_type: type, source_value: source.slice(type.length + 1) };
+        }
+    }
+    return { source_type: 'other', source_value: source };
+}
+
+// The source string an event was recorded with, the inverse of parseSource
+export function formatSource(event) {
+    if (!event.source_type) return '';
+    if (event.source_type === 'other') return event.source_value;
+    return event.source_value === null ? event.source_type : `${event.source_type}-${event.source_value}`;
+}
+
+// A sortable, unique-enough ID for one invocation, e.g. "20261019-084643-3f9a"
+export function createRunId(date = new Date()) {
+    const stamp = date.toISOString().replace(/[-:]/g, '').replace('T', '-').slice(0, 15);
+    return `${stamp}-${crypto.randomBytes(2).toString('hex')}`;
+}
+
+/**
+ * Append-only JSON Lines log of everything the bot does to a user: invites
+ * sent or failed, users skipped, follows, cancellations and accepted
+ * invitations. Each line is one event:
+ *
+ *   { "v": 1, "ts": "...", "run_id": "...", "type": "invite_sent",
+ *     "username": "...", "org": "...", "team": "...", "source_type": "search",
+ *     "source_value": "IIT", "http_status": 201, "details": null }
+ */
+class EventLog {
+    // With `dryRun`, events are returned but never written. `onEvent` is
+    // called with every event recorded, dry run or not. With a `store`
+    // (SqliteStore), events go to its "events" table instead of the file.
+    constructor(logPath, { runId = createRunId(), dryRun = false, onEvent = null, store = null } = {}) {
+        this.logPath = logPath;
+        this.runId = runId;
+        this.dryRun = dryRun;
+        this.onEvent = onEvent;
+        this.store = store;
+    }
+
+    // Write events as they are, e.g. converted ones that keep their own run ID
+    append(events) {
+        if (this.dryRun || events.length === 0) return;
+        if (this.store) {
+            this.store.appendEvents(events);
+        } else {
+            fs.appendFileSync(this.logPath, events.map(event => `${JSON.stringify(event)}\n`).join(''), 'utf8');
+        }
+    }
+
+    // Events of this log, oldest first (see readEvents() for the filters)
+    read(filter = {}) {
+        return this.store ? this.store.readEvents(filter) : readEvents(this.logPath, filter);
+    }
+
+    /**
+     * Append the invites of a legacy text log, skipping lines already
+     * converted. Returns { converted, duplicates, unparsed }.
+     */
+    convertLegacyLog(legacyPath) {
+        const result = { converted: 0, duplicates: 0, unparsed: 0 };
+        if (!fs.existsSync(legacyPath)) return result;
+
+        const key = event => `${event.type}|${event.ts}|${(event.username || '').toLowerCase()}`;
+        const existing = new Set(this.read({ types: ['invite_sent'] }).map(key));
+
+        const converted = [];
+        for (const line of fs.readFileSync(legacyPath, 'utf8').split('\n')) {
+            if (!line.trim()) continue;
+            const legacy = parseLogLine(line);
+            if (!legacy) {
+                result.unparsed++;
+                continue;
+            }
+            const event = legacyLineToEvent(legacy);
+            if (existing.has(key(event))) {
+                result.duplicates++;
+                continue;
+            }
+            existing.add(key(event));
+            converted.push(event);
+        }
+
+        converted.sort((a, b) => a.ts.localeCompare(b.ts));
+        this.append(converted);
+        result.converted = converted.length;
+        return result;
+    }
+
+    record(type, { username = null, org = null, team = null, source = null, httpStatus = null, details = null, timestamp = new Date().toISOString() } = {}) {
+        if (!EVENT_TYPES.includes(type)) {
+            throw new Error(`Unknown event type: ${type}`);
+        }
+
+        const event = {
+            v: EVENT_LOG_VERSION,
+            ts: timestamp,
+            run_id: this.runId,
+            type,
+            username,
+            org,
+            team,
+            ...parseSource(source),
+            http_status: httpStatus,
+            details
+        };
+        this.append([event]);
+        this.onEvent?.(event);
+        return event;
+    }
+}
+
+// A legacy log line as an invite_sent event (without run ID or HTTP status)
+function legacyLineToEvent({ timestamp, source, username }) {
+    return {
+        v: EVENT_LOG_VERSION,
+        ts: timestamp,
+        run_id: null,
+        type: 'invite_sent',
+        username,
+        org: null,
+        team: null,
+        ...parseSource(source),
+        http_status: null,
+        details: { legacy: true }
+    };
+}
+
+/**
+ * Read the events of a log, oldest first. Lines in the legacy text format are
+ * read as invite_sent events, so this works on both kinds of log. Supported
+ * filter keys: types (list), runId, username (case-insensitive) and since.
+ */
+export function readEvents(logPath, { types = null, runId = null, username = null, since = null } = {}) {
+    if (!fs.existsSync(logPath)) return [];
+
+    const sinceTime = since ? new Date(since).getTime() : null;
+    const events = [];
+    const lines = fs.readFileSync(logPath, 'utf8').split('\n');
+    lines.forEach((line, index) => {
+        if (!line.trim()) return;
+
+        let event;
+        if (line.trimStart().startsWith('{')) {
+            try {
+                event = JSON.parse(line);
+            } catch (error) {
+                throw new Error(`Event log ${logPath} is corrupted at line ${index + 1}: ${error.message}`);
+            }
+            if (event.v > EVENT_LOG_VERSION) {
+                throw new Error(`Event log ${logPath} has version ${event.v} events; this version reads up to ${EVENT_LOG_VERSION}`);
+            }
+        } else {
+            const legacy = parseLogLine(line);
+            if (!legacy) return;
+            event = legacyLineToEvent(legacy);
+        }
+
+        if (types && !types.includes(event.type)) return;
+        if (runId && event.run_id !== runId) return;
+        if (username && (event.username || '').toLowerCase() !== username.toLowerCase()) return;
+        if (sinceTime !== null && new Date(event.ts).getTime() < sinceTime) return;
+        events.push(event);
+    });
+    return events.sort((a, b) => a.ts.localeCompare(b.ts));
+}
+
+export default EventLog;
@@ -1,4 +1,5 @@
 import InviteManager from './invite_manager.js';
+import { loadConfig, getProfileArg } from './config.js';
 import fs from 'fs/promises';
 import path from 'path';
 import { fileURLToPath } from 'url';
@@ -7,15 +8,22 @@ const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
 
 async function filterNewUsers(userList) {
-    const manager = new InviteManager();
+    const manager = await InviteManager.fromConfig(loadConfig({ profile: getProfileArg() }));
     const newUsers = [];
     const alreadyInvited = [];
+    const blocked = [];
 
     for (const username of userList) {
-        if (!manager.isUserInvited(username)) {
+        const blockEntry = manager.getBlockEntry(username);
+        if (blockEntry) {
+            blocked.push({
+                username,
+                reason: manager.blocklist.describe(blockEntry)
+            });
+        } else if (!manager.isUserInvited(username)) {
             newUsers.push(username);
         } else {
-            const inviteInfo = manager.invitedUsers.invited_users[username];
+            const inviteInfo = manager.ledger.get(username);
             alreadyInvited.push({
                 username,
                 invited_at: inviteInfo.invited_at,
@@ -29,6 +37,7 @@ async function filterNewUsers(userList) {
     console.log(`Total users in list: ${userList.length}`);
     console.log(`New users: ${newUsers.length}`);
     console.log(`Already invited: ${alreadyInvited.length}`);
+    console.log(`Blocked or opted out: ${blocked.length}`);
 
     if (alreadyInvited.length > 0) {
         console.log('\nSample of already invited users:');
@@ -37,6 +46,11 @@ async function filterNewUsers(userList) {
         });
     }
 
+    if (blocked.length > 0) {
+        console.log('\nBlocked or opted-out users:');
+        blocked.forEach(user => console.log(`- ${user.username} (${user.reason})`));
+    }
+
     if (newUsers.length > 0) {
         console.log('\nNew users to invite:');
         newUsers.forEach(username => console.log(`- ${username}`));
@@ -44,7 +58,8 @@ async function filterNewUsers(userList) {
 
     return {
         newUsers,
-        alreadyInvited
+        alreadyInvited,
+        blocked
     };
 }
 
@@ -1,15 +1,13 @@
 import InviteManager from './invite_manager.js';
-import path from 'path';
-import { fileURLToPath } from 'url';
-
-const __dirname = path.dirname(fileURLToPath(import.meta.url));
+import { loadConfig, getProfileArg } from './config.js';
 
 async function generateReports() {
-    const manager = new InviteManager();
-    
+    const settings = loadConfig({ profile: getProfileArg() });
+    const { paths } = settings;
+    const manager = await InviteManager.fromConfig(settings);
+
     // Generate main report
-    const reportPath = path.join(__dirname, '..', 'invitation_report.md');
-    await manager.generateReport(reportPath);
+    await manager.generateReport(paths.report);
 
     // Get statistics
     const stats = manager.getStatistics();
@@ -0,0 +1,299 @@
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import fetch from 'node-fetch';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+export const API_URL = 'https://api.github.com';
+export const DEFAULT_ETAG_CACHE_PATH = path.join(__dirname, '..', '.github_etag_cache.json');
+
+const MAX_CACHE_ENTRIES = 5000;
+const TRANSIENT_STATUSES = [500, 502, 503, 504];
+
+const sleep = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+// Error thrown for any non-successful API response
+export class GitHubApiError extends Error {
+    constructor(message, status, body = null) {
+        super(message);
+        this.name = 'GitHubApiError';
+        this.status = status;
+        this.body = body;
+    }
+}
+
+// GitHub refusing one repository or user (too large, empty, gone, blocked),
+// as opposed to errors that should stop a crawl so it can be resumed
+export function isRefusal(error) {
+    return [403, 404, 409, 422, 451].includes(error.status) && !/rate limit/i.test(error.message);
+}
+
+/**
+ * Shared GitHub REST/GraphQL client.
+ *
+ * - Tracks X-RateLimit-Remaining / X-RateLimit-Reset and waits for the reset
+ *   instead of failing when the primary limit is used up.
+ * - Honors Retry-After (and backs off exponentially) on secondary limits.
+ * - Retries transient network errors and 5xx responses.
+ * - Sends If-None-Match for GET requests it has seen before; a 304 answer
+ *   is served from the local ETag cache and does not count against quota.
+ */
+class GitHubClient {
+    constructor({
+        token = process.env.GITHUB_TOKEN,
+        baseUrl = API_URL,
+        etagCachePath = DEFAULT_ETAG_CACHE_PATH,
+        maxRetries = 5,
+        log = message => console.log(message)
+    } = {}) {
+        if (!token) {
+            throw new Error('GITHUB_TOKEN not found in environment');
+        }
+        this.token = token;
+        this.baseUrl = baseUrl;
+        this.maxRetries = maxRetries;
+        this.log = log;
+        // Latest X-RateLimit-* values per resource (core, search, graphql)
+        this.rateLimits = {};
+        this.rateLimitEvents = [];
+
+        this.etagCachePath = etagCachePath;
+        this.etagCache = this.loadEtagCache();
+        this.etagCacheDirty = false;
+        if (this.etagCachePath) {
+            process.on('exit', () => this.saveEtagCache());
+        }
+    }
+
+    loadEtagCache() {
+        if (!this.etagCachePath || !fs.existsSync(this.etagCachePath)) {
+            return new Map();
+        }
+        try {
+            return new Map(Object.entries(JSON.parse(fs.readFileSync(this.etagCachePath, 'utf8'))));
+        } catch (error) {
+            // A broken cache only costs quota, never correctness
+            return new Map();
+        }
+    }
+
+    saveEtagCache() {
+        if (!this.etagCachePath || !this.etagCacheDirty) return;
+        try {
+            fs.writeFileSync(this.etagCachePath, JSON.stringify(Object.fromEntries(this.etagCache)));
+            this.etagCacheDirty = false;
+        } catch (error) {
+            console.error('Warning: could not save ETag cache:', error.message);
+        }
+    }
+
+    cacheResponse(url, etag, data, link) {
+        // Re-insert so the Map keeps most recently used entries last
+        this.etagCache.delete(url);
+        this.etagCache.set(url, { etag, data, link });
+        while (this.etagCache.size > MAX_CACHE_ENTRIES) {
+            this.etagCache.delete(this.etagCache.keys().next().value);
+        }
+        this.etagCacheDirty = true;
+    }
+
+    buildUrl(pathOrUrl) {
+        return pathOrUrl.startsWith('http') ? pathOrUrl : `${this.baseUrl}${pathOrUrl}`;
+    }
+
+    // Which rate-limit bucket a request is charged to
+    resourceFor(url) {
+        if (url.includes('/search/')) return 'search';
+        if (url.endsWith('/graphql')) return 'graphql';
+        return 'core';
+    }
+
+    updateRateLimit(url, res) {
+        const remaining = res.headers.get('x-ratelimit-remaining');
+        if (remaining === null) return;
+        const resource = res.headers.get('x-ratelimit-resource') || this.resourceFor(url);
+        this.rateLimits[resource] = {
+            limit: Number(res.headers.get('x-ratelimit-limit')),
+            remaining: Number(remaining),
+            reset: Number(res.headers.get('x-ratelimit-reset'))
+        };
+    }
+
+    // Rate-limit state of the core REST bucket
+    get rateLimit() {
+        return this.rateLimits.core || { limit: null, remaining: null, reset: null };
+    }
+
+    // How long to wait before retrying a rate-limited response, or null if it wasn't rate limited
+    getRateLimitDelay(res, body, attempt) {
+        const retryAfter = res.headers.get('retry-after');
+        if ((res.status === 403 || res.status === 429) && retryAfter) {
+            return Number(retryAfter) * 1000;
+        }
+        if ((res.status === 403 || res.status === 429) && res.headers.get('x-ratelimit-remaining') === '0') {
+            const reset = Number(res.headers.get('x-ratelimit-reset'));
+            return Math.max(reset * 1000 - Date.now(), 0) + 1000;
+        }
+        const message = body?.message || '';
+        if ((res.status === 403 || res.status === 429) && /rate limit/i.test(message)) {
+            // Secondary limit without Retry-After: wait at least a minute, longer on each retry
+            return 60000 * 2 ** attempt;
+        }
+        return null;
+    }
+
+    recordRateLimitEvent(type, delay, url) {
+        const event = { type, url, waitSeconds: Math.ceil(delay / 1000), at: new Date().toISOString() };
+        this.rateLimitEvents.push(event);
+        this.log(`\n⚠️ ${type === 'primary' ? 'Rate limit' : 'Secondary rate limit'} hit. Waiting ${event.waitSeconds} seconds...`);
+    }
+
+    /**
+     * Send a request and return { status, data, headers, link, fromCache }.
+     * Throws GitHubApiError for non-successful responses once retries are exhausted.
+     */
+    async request(method, pathOrUrl, { body, headers = {}, useEtag = method === 'GET' } = {}) {
+        const url = this.buildUrl(pathOrUrl);
+        const cached = useEtag ? this.etagCache.get(url) : null;
+
+        for (let attempt = 0; ; attempt++) {
+            // Primary limit already known to be used up: wait for the reset up front
+            const known = this.rateLimits[this.resourceFor(url)];
+            if (known && known.remaining === 0 && known.reset * 1000 > Date.now()) {
+                const delay = known.reset * 1000 - Date.now() + 1000;
+                this.recordRateLimitEvent('primary', delay, url);
+                await sleep(delay);
+                known.remaining = null;
+            }
+
+            const requestHeaders = {
+                Authorization: `token ${this.token}`,
+                Accept: 'application/vnd.github+json',
+                ...headers
+            };
+            if (cached) {
+                requestHeaders['If-None-Match'] = cached.etag;
+            }
+            if (body !== undefined) {
+                requestHeaders['Content-Type'] = 'application/json';
+            } else if (method !== 'GET') {
+                requestHeaders['Content-Length'] = '0';
+            }
+
+            let res;
+            try {
+                res = await fetch(url, {
+                    method,
+                    headers: requestHeaders,
+                    body: body === undefined ? undefined : JSON.stringify(body)
+                });
+            } catch (error) {
+                if (attempt >= this.maxRetries) throw error;
+                const delay = Math.min(1000 * 2 ** attempt, 30000);
+                this.log(`\n⚠️ Network error (${error.message}). Retrying in ${delay / 1000} seconds...`);
+                await sleep(delay);
+                continue;
+            }
+
+            this.updateRateLimit(url, res);
+
+            if (res.status === 304 && cached) {
+                return { status: 200, data: cached.data, headers: res.headers, link: cached.link, fromCache: true };
+            }
+
+            const text = res.status === 204 ? '' : await res.text();
+            let data = null;
+            try {
+                data = text ? JSON.parse(text) : null;
+            } catch (error) {
+                data = text;
+            }
+
+            if (res.ok) {
+                const link = res.headers.get('link');
+                const etag = res.headers.get('etag');
+                if (useEtag && etag) {
+                    this.cacheResponse(url, etag, data, link);
+                }
+                return { status: res.status, data, headers: res.headers, link, fromCache: false };
+            }
+
+            const rateLimitDelay = this.getRateLimitDelay(res, data, attempt);
+            if (rateLimitDelay !== null && attempt < this.maxRetries) {
+                this.recordRateLimitEvent(res.headers.get('x-ratelimit-remaining') === '0' ? 'primary' : 'secondary', rateLimitDelay, url);
+                await sleep(rateLimitDelay);
+                continue;
+            }
+
+            if (TRANSIENT_STATUSES.includes(res.status) && attempt < this.maxRetries) {
+                const delay = Math.min(1000 * 2 ** attempt, 30000);
+                this.log(`\n⚠️ GitHub returned ${res.status}. Retrying in ${delay / 1000} seconds...`);
+                await sleep(delay);
+                continue;
+            }
+
+            throw new GitHubApiError(data?.message || `GitHub API request failed: ${res.status}`, res.status, data);
+        }
+    }
+
+    async get(pathOrUrl, options) {
+        return (await this.request('GET', pathOrUrl, options)).data;
+    }
+
+    async post(pathOrUrl, body, options = {}) {
+        return (await this.request('POST', pathOrUrl, { ...options, body })).data;
+    }
+
+    async put(pathOrUrl, body, options = {}) {
+        return (await this.request('PUT', pathOrUrl, { ...options, body })).data;
+    }
+
+    async delete(pathOrUrl, options) {
+        return (await this.request('DELETE', pathOrUrl, options)).data;
+    }
+
+    // Yield each page of a paginated endpoint, following the Link header
+    async *pages(pathOrUrl, { perPage = 100 } = {}) {
+        const url = this.buildUrl(pathOrUrl);
+        let nextUrl = /[?&]per_page=/.test(url) ? url : `${url}${url.includes('?') ? '&' : '?'}per_page=${perPage}`;
+
+        while (nextUrl) {
+            const { data, link } = await this.request('GET', nextUrl);
+            yield data || [];
+            const next = (link || '').match(/<([^>]+)>;\s*rel="next"/);
+            nextUrl = next ? next[1] : null;
+        }
+    }
+
+    // Fetch every page of a paginated endpoint into one array
+    async paginate(pathOrUrl, options) {
+        const results = [];
+        for await (const page of this.pages(pathOrUrl, options)) {
+            results.push(...page);
+        }
+        return results;
+    }
+
+    async graphql(query, variables = {}) {
+        const data = await this.post('/graphql', { query, variables }, { useEtag: false });
+        if (data.errors) {
+            throw new GitHubApiError(data.errors[0].message, 200, data);
+        }
+        return data.data;
+    }
+}
+
+// Build a client from the environment, exiting with a readable message when the token is missing
+export function createClientFromEnv(options = {}) {
+    try {
+        return new GitHubClient(options);
+    } catch (error) {
+        console.error(`❌ Error: ${error.message}`);
+        console.error('Please make sure you have added your token to the .env file');
+        process.exit(1);
+    }
+}
+
+export default GitHubClient;
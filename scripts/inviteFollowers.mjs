@@ -1,49 +1,328 @@
 // scripts/inviteFollowers.mjs
-import fetch from 'node-fetch';
 import { config } from 'dotenv';
 import { createInterface } from 'readline';
-import { writeFileSync, readFileSync, appendFileSync, existsSync, mkdirSync, copyFileSync, unlinkSync } from 'fs';
-import { join, dirname, resolve } from 'path';
+import { writeFileSync, readFileSync, existsSync, mkdirSync, copyFileSync, unlinkSync, readdirSync } from 'fs';
+import { join, resolve, basename } from 'path';
 import { execSync } from 'child_process';
-import { readdirSync, basename } from 'fs';
+import InviteLedger, { LEDGER_VERSION } from './invite_ledger.js';
+import InviteManager from './invite_manager.js';
+import Blocklist from './blocklist.js';
+import RunPlan from './run_plan.js';
+import CandidateQueue from './candidate_queue.js';
+import { getScheduleState, getWindow, acquireLock } from './scheduler.js';
+import { getQuotaStatus, DAY_MS } from './invite_quota.js';
+import EventLog, { createRunId } from './event_log.js';
+import RunRecord from './run_record.js';
+import { openStore, importJsonFiles, exportJsonFiles } from './storage.js';
+import { parseGitHubQuery, validateSearchFilters, buildSearchQuery, searchUsers, SEARCH_RESULT_CAP } from './user_search.js';
+import SearchCheckpoints from './search_checkpoints.js';
+import CampaignState, { parseInterval } from './campaigns.js';
+import CrawlCheckpoints, { crawlContributors, crawlKey, describeReach, validateCrawlOptions } from './contributor_crawl.js';
+import { collectRepoActivity, activityWindow, describeInteractions, validateActivityOptions } from './repo_activity.js';
+import { STORE_COLLECTIONS } from './sqlite_store.js';
+import GitHubClient from './github_client.js';
+import { migrateInviteHistory } from './migrate_invite_history.js';
+import { loadConfig } from './config.js';
+import { evaluateCandidate, fetchCandidateProfile, toCandidateProfile, looksLikeBot, needsLastPush } from './qualification_rules.js';
 
 // Initialize dotenv
 config();
 
-const ORG = 'Krypto-Hashers-Community';
+// Command-line flags that take no value (e.g. --yes) and flags that take one (e.g. --org <name>)
+const CLI_BOOLEAN_FLAGS = ['yes', 'force', 'resume', 'help', 'dry-run', 'opt-out', 'queue', 'all', 'include-bots'];
+const CLI_VALUE_FLAGS = ['org', 'team', 'max-age', 'reinvite-after', 'config', 'profile', 'reason', 'expires', 'status', 'source', 'min-followers', 'min-repos', 'location', 'depth', 'max-repos', 'min-contributions', 'since', 'until', 'min-interactions'];
+
+// Parse process arguments into positional command words and flags
+function parseCliArgs(argv) {
+  const parsed = { positional: [], flags: {} };
+
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+
+    if (arg === '-y' || arg === '-h') {
+      parsed.flags[arg === '-y' ? 'yes' : 'help'] = true;
+      continue;
+    }
+
+    if (!arg.startsWith('--')) {
+      parsed.positional.push(arg);
+      continue;
+    }
+
+    // Support both --org value and --org=value
+    const eqIndex = arg.indexOf('=');
+    const name = eqIndex === -1 ? arg.slice(2) : arg.slice(2, eqIndex);
+    let value = eqIndex === -1 ? undefined : arg.slice(eqIndex + 1);
+
+    if (CLI_BOOLEAN_FLAGS.includes(name)) {
+      parsed.flags[name] = true;
+    } else if (CLI_VALUE_FLAGS.includes(name)) {
+      if (value === undefined) {
+        value = argv[++i];
+      }
+      if (value === undefined || value.startsWith('--')) {
+        throw new Error(`Missing value for --${name}`);
+      }
+      parsed.flags[name] = value;
+    } else {
+      throw new Error(`Unknown option: --${name}`);
+    }
+  }
+
+  return parsed;
+}
+
+function printUsage() {
+  console.log(`Usage: node scripts/inviteFollowers.mjs [command] [options]
+
+Run without a command to use the interactive menu.
+
+Commands:
+  invite followers <user>          Invite followers of a user
+  invite org-followers <org>       Invite members, followers and contributors of an organization
+  invite user <username|email>     Invite a single user
+  invite search "<query>"          Search users by keyword and invite them
+  invite contributors <repo-url>   Invite contributors of a repository
+  invite repo-activity <repo-url|org>
+                                   Invite users active in the issues, pull requests, reviews,
+                                   comments and discussions of a repository or organization
+  invite readme <repo-url>         Invite users mentioned in a repository README
+  invite sponsors <user>           Invite sponsors of a user/organization
+  invite sponsoring <user>         Invite users sponsored by a user/organization
+  follow-members                   Follow all organization members
+  reconcile                        Sync invite statuses with the org's invitation list
+  cancel-stale                     Cancel pending invitations older than --max-age days
+  runs list                        Show recent runs with their invite counts
+  runs show <id>                   Show what a run did (an ID prefix is enough)
+  events convert                   Copy the legacy invitation_log.txt into the event log
+  searches list                    Show keyword searches in progress and which are exhausted
+  searches reset "<query>"         Forget a search's checkpoint so it starts over
+  campaigns list                   Show the config's campaigns and when each runs next
+  campaigns run [names...]         Queue new matches of every due campaign (or the named ones)
+  storage status                   Show what the SQLite database holds (sqlite backend)
+  storage import                   Copy the JSON data files into the SQLite database
+  storage export                   Write the SQLite database back to the JSON data files
+  quota                            Show invites left under the hourly/daily limits and
+                                   when the next slot opens
+  blocklist add <username>         Never invite this user (see --reason, --expires, --opt-out)
+  blocklist remove <username>      Remove a user from the blocklist
+  blocklist list                   Show blocked and opted-out users
+  queue list                       Show queued candidates (filter with the options below)
+  queue review                     Approve or reject pending candidates one at a time
+  queue approve [usernames...]     Approve candidates by name, or every match of a filter
+  queue reject [usernames...]      Reject candidates by name, or every match of a filter
+  queue run                        Invite approved candidates, within the daily limit
+  schedule run                     Keep running and send queued invites evenly over the
+                                   daily window in the config's "schedule" (for a service)
+  schedule tick                    Send the invites due right now and exit (for cron)
+  schedule status                  Show today's progress and when the next invite is due
+
+Options:
+  -y, --yes          Answer "yes" to the send-invites confirmation
+  --force            Bypass the daily invitation limit
+  --resume           Resume unfinished scans instead of starting over (keyword
+                     searches always resume; see "searches reset")
+  --config <path>    Config file to use (default: khc.config.json)
+  --profile <name>   Use a profile from the config's "profiles" (own org, teams,
+                     invite ledger, daily limit and stats)
+  --org <name>       Target organization (overrides "org" in the config)
+  --team <slug>      Team to invite users into (overrides "team" in the config)
+  --max-age <days>   Age after which cancel-stale cancels an invitation
+                     (default: "staleInviteDays" in the config)
+  --reinvite-after <days>
+                     Let users whose invitation was cancelled be invited again after
+                     this many days (default: never re-invite them)
+  --dry-run          Go through the whole run without sending, following, cancelling
+                     or committing anything; writes the plan to dry_run_plan.json
+  --reason <text>    Why a user is added to the blocklist
+  --expires <days|date>
+                     Let a blocklist entry lapse after this many days or on this date
+  --opt-out          Record a blocklist entry as the user's own opt-out request
+  --queue            Add qualified candidates to the review queue instead of inviting them
+  --status <status>  Queue entries to act on: pending, approved, rejected, invited, skipped
+  --source <pattern> Queue filter: source label, * matches anything (e.g. "search-*")
+  --min-followers <n>, --min-repos <n>, --location <text>
+                     Queue filters on the candidate's profile
+  --all              Apply queue approve/reject to every entry with --status (default: pending)
+  --depth <n>        How far invite contributors crawls: 0 for the repository's own
+                     contributors, 1 to add the contributors of their repositories, ...
+  --max-repos <n>    Repositories crawled per contributor (most recently pushed first)
+  --min-contributions <n>
+                     Contributions a user needs in a repository to be a candidate
+  --since <date>     Only count commits made since this date (YYYY-MM-DD); for
+                     invite repo-activity, the first day of the window
+  --until <date>     Last day of the invite repo-activity window (default: today)
+  --min-interactions <n>
+                     Issues, pull requests, reviews and comments a user needs in the
+                     window to be a repo-activity candidate
+  --include-bots     Keep bot accounts among the contributors or active users
+                     (defaults: "contributors" and "activity" in the config)
+  -h, --help         Show this help`);
+}
+
+let cli;
+try {
+  cli = parseCliArgs(process.argv.slice(2));
+} catch (error) {
+  console.error(`❌ ${error.message}`);
+  printUsage();
+  process.exit(1);
+}
+
+if (cli.flags.help || cli.positional[0] === 'help') {
+  printUsage();
+  process.exit(0);
+}
+
+// Without a command we fall back to the interactive menu
+const INTERACTIVE = cli.positional.length === 0;
+
+// Org, team, limits and file locations come from khc.config.json (or the
+// --profile selected from it), with environment variables and --org / --team
+// taking precedence
+let settings;
+try {
+  settings = loadConfig({
+    configPath: cli.flags.config,
+    profile: cli.flags.profile,
+    overrides: { org: cli.flags.org, team: cli.flags.team }
+  });
+} catch (error) {
+  console.error(`❌ ${error.message}`);
+  process.exit(1);
+}
+mkdirSync(settings.dataDir, { recursive: true });
+
+const ORG = settings.org;
 const GITHUB_TOKEN = process.env.GITHUB_TOKEN;
-const LOG_FILE = 'invitation_log.txt';
-const INVITATION_STATS_FILE = 'invitation_stats.json';
-const DELAY_BETWEEN_INVITES = 2000; // 2 seconds delay between invites
-const SEARCH_PROGRESS_FILE = 'search_progress.json';
-const USERS_DATA_DIR = 'users_data';
+const LOG_FILE = settings.paths.log; // legacy text log, converted into the event log
+const EVENT_LOG_FILE = settings.paths.events;
+const INVITED_USERS_FILE = settings.paths.ledger;
+const REPORT_FILE = settings.paths.report;
+const DEFAULT_STALE_INVITE_DAYS = settings.staleInviteDays; // cancel-stale cancels invitations older than this
+const DAILY_INVITE_LIMIT = settings.dailyInviteLimit; // invites allowed in any 24 hours
+const HOURLY_INVITE_LIMIT = settings.hourlyInviteLimit; // invites allowed in any hour (null for no limit)
+const INVITATION_STATS_FILE = settings.paths.stats;
+const DELAY_BETWEEN_INVITES = settings.delayBetweenInvitesMs;
+const SEARCH_PROGRESS_FILE = settings.paths.searchProgress;
+const USERS_DATA_DIR = settings.paths.usersDataDir;
+const BACKUP_DIR = settings.paths.backupDir;
 const DEFAULT_SAVE_FILE = 'github_users.json';
-const DEFAULT_TEAM = 'support';
-const DEFAULT_TEAM_URL = 'https://github.com/orgs/Krypto-Hashers-Community/teams/support';
+const TEAMS = settings.teams; // every team new invitees are added to
+const TEAMS_LABEL = describeTeams(TEAMS);
+const INVITE_ROLE = settings.role;
+const QUALIFICATION_RULES = settings.qualification;
+
+// With --dry-run every step runs except the writes to GitHub and git; state
+// changes stay in memory and what would have happened is collected in `plan`
+const DRY_RUN = Boolean(cli.flags['dry-run']);
+const RUN_PLAN_FILE = settings.paths.plan;
+const plan = DRY_RUN
+  ? new RunPlan({ profile: settings.profile, org: ORG, teams: TEAMS, dailyLimit: DAILY_INVITE_LIMIT })
+  : null;
+
+// Users who must never be invited (blocked or opted out), shared by all profiles
+const blocklist = new Blocklist(settings.paths.blocklist, { dryRun: DRY_RUN });
+
+// With the "sqlite" storage backend, invites, candidates, events, profiles,
+// followed users, org members and scan checkpoints live in one database file
+// instead of the JSON files (see storage.js)
+const DATABASE_FILE = settings.paths.database;
+let store = null;
+try {
+  store = await openStore(settings);
+} catch (error) {
+  console.error(`❌ ${error.message}`);
+  process.exit(1);
+}
+
+// First run with the sqlite backend: copy the existing JSON files in once
+if (store && !store.getMeta('ledger') && !DRY_RUN) {
+  console.log(`📦 Importing the JSON data files into ${basename(DATABASE_FILE)}...`);
+  printStorageCounts(importJsonFiles(store, settings.paths));
+}
+
+// Every invite, failure, skip, follow, cancellation and acceptance of this run
+// goes to the event log under one run ID (nothing is written in a dry run)
+const RUN_ID = createRunId();
+
+// Audit record of this run, counted from its events and saved to runs/<id>.json
+const runRecord = new RunRecord(settings.paths.runs, {
+  id: RUN_ID,
+  command: process.argv.slice(2),
+  profile: settings.profile,
+  org: ORG,
+  teams: TEAMS
+});
+const eventLog = new EventLog(EVENT_LOG_FILE, { runId: RUN_ID, dryRun: DRY_RUN, store, onEvent: event => runRecord.addEvent(event) });
+
+// Commands that only show state, which get no run record
+function isReadOnlyCommand([command, action] = []) {
+  return ['runs', 'quota'].includes(command)
+    || (['schedule', 'storage'].includes(command) && action === 'status')
+    || (['queue', 'blocklist', 'searches', 'campaigns'].includes(command) && action === 'list');
+}
+
+// Dry runs are recorded in their plan instead
+const AUDIT_RUN = !DRY_RUN && !isReadOnlyCommand(cli.positional);
+
+// Record a user an invite command skipped, in the event log and the dry-run plan
+function recordSkip(username, reason, { source = null, details = null, org = ORG } = {}) {
+  plan?.addSkip(username, reason, { source, details });
+  eventLog.record('skipped', { username, org, source, details: { reason, details } });
+}
+
+// Candidates waiting for review when invite commands run with --queue
+const candidateQueue = new CandidateQueue(settings.paths.queue, { dryRun: DRY_RUN, store });
+
+// Per-query checkpoints of keyword searches (pages and slices fetched, users dealt with)
+const searchCheckpoints = new SearchCheckpoints(SEARCH_PROGRESS_FILE, { dryRun: DRY_RUN, store });
+
+// Saved searches run by `campaigns run`, and what each has done so far
+const CAMPAIGNS = settings.campaigns;
+const campaignState = new CampaignState(settings.paths.campaigns, { dryRun: DRY_RUN, store });
+
+// Checkpoints of unfinished `invite contributors` crawls
+const crawlCheckpoints = new CrawlCheckpoints(settings.paths.contributorProgress, { dryRun: DRY_RUN, store });
+
+// Crawl and activity options from the config and the flags, checked before any command runs
+let CRAWL_OPTIONS, ACTIVITY_OPTIONS, ACTIVITY_WINDOW;
+try {
+  CRAWL_OPTIONS = getCrawlOptions();
+  ACTIVITY_OPTIONS = getActivityOptions();
+  ACTIVITY_WINDOW = activityWindow(ACTIVITY_OPTIONS, { since: cli.flags.since || null, until: cli.flags.until || null });
+} catch (error) {
+  console.error(`❌ ${error.message}`);
+  process.exit(1);
+}
+
+// Sending window and quota for `schedule`; the quota defaults to the daily limit
+const SCHEDULE = settings.schedule;
+const SCHEDULE_QUOTA = SCHEDULE.dailyQuota || DAILY_INVITE_LIMIT;
 
 // Track newly joined members
-const MEMBERS_FILE = 'org_members.json';
+const MEMBERS_FILE = settings.paths.members;
 
 // Add these constants after other constants
-const MAX_FAILED_INVITES = 20;
+const MAX_FAILED_INVITES = settings.maxFailedInvites;
 let failedInvitesCount = 0;
 
 // Add this constant near the top with other constants
-const FOLLOWED_USERS_FILE = 'followed_users.json';
+const FOLLOWED_USERS_FILE = settings.paths.followedUsers;
 
 // Add these constants at the top with other constants
-const SCAN_PROGRESS_FILE = 'scan_progress.json';
-const RETRY_DELAY = 30000; // 30 seconds delay for retrying on connection failure
+const SCAN_PROGRESS_FILE = settings.paths.scanProgress;
 
-// Ensure log files exist
-if (!existsSync(LOG_FILE)) {
-  writeFileSync(LOG_FILE, '');
+// Ensure log files exist (a dry run creates no files)
+if (!DRY_RUN && !existsSync(EVENT_LOG_FILE)) {
+  writeFileSync(EVENT_LOG_FILE, '');
 }
 
 // Load or initialize invitation stats
 let invitationStats = {
   totalInvites: 0,
   last24Hours: 0,
+  lastHour: 0,
   lastInviteTime: 0,
   pendingInvites: 0
 };
@@ -58,59 +337,86 @@ if (existsSync(INVITATION_STATS_FILE)) {
 
 // Update stats file
 function updateStats() {
+  if (DRY_RUN) return;
   writeFileSync(INVITATION_STATS_FILE, JSON.stringify(invitationStats, null, 2));
 }
 
-// Check if we can send more invites
-function canSendMoreInvites() {
+// Where the hourly and daily limits stand, counted from the invite times in
+// the ledger (dry-run invites are in the in-memory ledger, so they count too)
+function getInviteQuota() {
   const now = Date.now();
-  const oneDay = 24 * 60 * 60 * 1000; // 24 hours in milliseconds
-  
-  // Reset last24Hours if more than 24 hours have passed
-  if (now - invitationStats.lastInviteTime > oneDay) {
-    invitationStats.last24Hours = 0;
-  }
-  
-  return invitationStats.last24Hours < 50;
+  const quota = getQuotaStatus(
+    inviteLedger.inviteTimesSince(now - DAY_MS),
+    { hourlyLimit: HOURLY_INVITE_LIMIT, dailyLimit: DAILY_INVITE_LIMIT },
+    now
+  );
+  invitationStats.last24Hours = quota.last24Hours;
+  invitationStats.lastHour = quota.lastHour;
+  return quota;
 }
 
-// Load previously invited users
-function getPreviouslyInvitedUsers() {
-  if (!existsSync(LOG_FILE)) return new Set();
-  
-  const logContent = readFileSync(LOG_FILE, 'utf8');
-  return new Set(
-    logContent
-      .split('\n')
-      .filter(line => line.trim())
-      .map(line => line.split(' - ')[1])
-  );
+// Check if we can send more invites
+function canSendMoreInvites() {
+  return getInviteQuota().remaining > 0;
 }
 
-// Load or initialize search progress
-let searchProgress = {
-  lastSearch: null,
-  completedCount: 0,
-  totalCount: 0,
-  remainingUsers: []
-};
+// e.g. "Hourly invitation limit reached (10 per hour); next slot opens at 10/19/2026, 3:12:00 PM"
+function describeQuotaLimit(quota = getInviteQuota()) {
+  const limit = quota.limitedBy === 'hourly'
+    ? `Hourly invitation limit reached (${HOURLY_INVITE_LIMIT} per hour)`
+    : `Daily invitation limit reached (${DAILY_INVITE_LIMIT} per 24 hours)`;
+  return `${limit}; next slot opens at ${quota.nextSlotAt.toLocaleString()}`;
+}
 
-if (existsSync(SEARCH_PROGRESS_FILE)) {
-  try {
-    searchProgress = JSON.parse(readFileSync(SEARCH_PROGRESS_FILE, 'utf8'));
-  } catch (error) {
-    console.error('Error loading search progress:', error);
+// Print the rolling invite counts and what is left of the limits
+function printInviteQuota() {
+  const quota = getInviteQuota();
+  console.log(`   • Invites in last 24h: ${quota.last24Hours}/${DAILY_INVITE_LIMIT}`);
+  if (HOURLY_INVITE_LIMIT) {
+    console.log(`   • Invites in last hour: ${quota.lastHour}/${HOURLY_INVITE_LIMIT}`);
+  }
+  if (quota.remaining > 0) {
+    console.log(`   • Invites left right now: ${quota.remaining}`);
+  } else {
+    console.log(`   • Next slot opens: ${quota.nextSlotAt.toLocaleString()}`);
   }
 }
 
-// Update search progress file
-function updateSearchProgress() {
-  writeFileSync(SEARCH_PROGRESS_FILE, JSON.stringify(searchProgress, null, 2));
+// The invite ledger (invited_users.json) is the permanent history of every
+// invitation sent; it is loaded in main() once the log files are initialized
+let inviteLedger = null;
+
+function loadInviteLedger() {
+  inviteLedger = new InviteLedger(INVITED_USERS_FILE, { dryRun: DRY_RUN, store });
+
+  // First run on an old installation: merge the log, its backups and the
+  // legacy invited_users.json formats into the ledger once
+  if (inviteLedger.loadedVersion !== LEDGER_VERSION) {
+    console.log('📦 Migrating invite history into the invite ledger...');
+    const { ledger, sources } = migrateInviteHistory({
+      ledgerFile: INVITED_USERS_FILE,
+      logFile: LOG_FILE,
+      eventLogFile: EVENT_LOG_FILE,
+      statsFile: INVITATION_STATS_FILE,
+      backupDir: BACKUP_DIR,
+      dryRun: DRY_RUN
+    });
+    sources.forEach(({ label, count }) => console.log(`   • ${label}: ${count} new entries`));
+    // A dry run migrates into memory only, so there is nothing on disk to reload
+    inviteLedger = DRY_RUN ? ledger : new InviteLedger(INVITED_USERS_FILE, { dryRun: DRY_RUN, store });
+  }
+
+  // The ledger is the source of truth for the total invite count
+  invitationStats.totalInvites = inviteLedger.inviteCount();
+  updateStats();
+  console.log(`📋 Invite history: ${inviteLedger.size} users invited so far`);
 }
 
 // Load or initialize members list
 let previousMembers = new Set();
-if (existsSync(MEMBERS_FILE)) {
+if (store) {
+  previousMembers = new Set(Object.values(store.all('org_members')).map(member => member.login));
+} else if (existsSync(MEMBERS_FILE)) {
   try {
     previousMembers = new Set(JSON.parse(readFileSync(MEMBERS_FILE, 'utf8')));
   } catch (error) {
@@ -120,6 +426,11 @@ if (existsSync(MEMBERS_FILE)) {
 
 // Save members list
 function updateMembersList(members) {
+  if (DRY_RUN) return;
+  if (store) {
+    store.replaceAll('org_members', Object.fromEntries(Array.from(members, login => [login, { login }])));
+    return;
+  }
   writeFileSync(MEMBERS_FILE, JSON.stringify(Array.from(members)));
 }
 
@@ -129,15 +440,43 @@ if (!GITHUB_TOKEN) {
   process.exit(1);
 }
 
-const headers = {
-  Authorization: `token ${GITHUB_TOKEN}`,
-  Accept: 'application/vnd.github+json',
-};
+// Every API call goes through the shared client, which handles rate limits,
+// retries and ETag caching
+const github = new GitHubClient({ token: GITHUB_TOKEN });
 
-const rl = createInterface({
-  input: process.stdin,
-  output: process.stdout
-});
+// The readline interface is only created once a prompt is actually needed,
+// so non-interactive runs never wait on stdin
+let rl = null;
+
+function ask(question) {
+  if (!rl) {
+    rl = createInterface({
+      input: process.stdin,
+      output: process.stdout
+    });
+  }
+  return new Promise(resolve => rl.question(question, resolve));
+}
+
+// Yes/no prompt that can be pre-answered by a command-line flag.
+// In non-interactive mode an unanswered question counts as "no".
+async function askYesNo(question, flag = false) {
+  if (flag) return true;
+  if (!INTERACTIVE) return false;
+  const answer = await ask(question);
+  return answer.trim().toLowerCase() === 'yes';
+}
+
+// Rewrite the current console line with progress; plain lines when not a TTY (cron, CI)
+function writeProgressLine(text) {
+  if (process.stdout.isTTY) {
+    process.stdout.clearLine();
+    process.stdout.cursorTo(0);
+    process.stdout.write(text);
+  } else {
+    console.log(text);
+  }
+}
 
 async function getFollowers(username) {
   console.log(`\n📥 Fetching followers of @${username}...`);
@@ -148,39 +487,38 @@ async function getFollowers(username) {
   let totalFollowers = 0;
 
   // First, get the user's total follower count
-  const userRes = await fetch(`https://api.github.com/users/${username}`, { headers });
-  if (userRes.ok) {
-    const userData = await userRes.json();
+  try {
+    const userData = await github.get(`/users/${username}`);
     totalFollowers = userData.followers;
     console.log(`Found ${totalFollowers} total followers`);
+  } catch (error) {
+    console.error('\n❌ Failed to fetch user:', error.message);
+    return [];
   }
 
   const updateProgress = (current) => {
     const percentage = (current / totalFollowers * 100).toFixed(1);
     const elapsedTime = ((Date.now() - startTime) / 1000).toFixed(1);
-    process.stdout.clearLine();
-    process.stdout.cursorTo(0);
-    process.stdout.write(`Progress: [${percentage}%] (${current}/${totalFollowers}) - ${elapsedTime}s elapsed`);
+    writeProgressLine(`Progress: [${percentage}%] (${current}/${totalFollowers}) - ${elapsedTime}s elapsed`);
   };
 
   while (hasMore) {
-    const res = await fetch(`https://api.github.com/users/${username}/followers?per_page=100&page=${page}`, { headers });
-    
-    if (!res.ok) {
-      const error = await res.json();
+    let res;
+    try {
+      res = await github.request('GET', `/users/${username}/followers?per_page=100&page=${page}`);
+    } catch (error) {
       console.error('\n❌ Failed to fetch followers:', error.message);
       break;
     }
 
-    const followers = await res.json();
+    const followers = res.data;
     allFollowers = allFollowers.concat(followers.map(user => user.login));
     
     // Update progress
     updateProgress(allFollowers.length);
     
     // Check if there are more pages
-    const linkHeader = res.headers.get('link');
-    if (!linkHeader || !linkHeader.includes('rel="next"')) {
+    if (!res.link || !res.link.includes('rel="next"')) {
       hasMore = false;
     } else {
       page++;
@@ -194,43 +532,66 @@ async function getFollowers(username) {
   return allFollowers;
 }
 
+// GET an API URL through the shared client (which already retries rate limits
+// and connection failures), logging failures with some context
+async function makeApiCall(url, errorMessage) {
+  try {
+    // 204 No Content (e.g. contributors of an empty repository) means an empty list
+    return (await github.get(url)) ?? [];
+  } catch (error) {
+    console.error(`\n❌ ${errorMessage}:`, error.message);
+    throw error;
+  }
+}
+
 // Add this function to validate organization data
 async function getOrgMetadata(orgName) {
   try {
-    const res = await fetch(`https://api.github.com/orgs/${orgName}`, { headers });
-    if (res.ok) {
-      const data = await res.json();
-      return {
-        name: data.login,
-        membersCount: data.public_members + (data.plan?.seats || 0),
-        reposCount: data.public_repos,
-        followersCount: data.followers,
-        timestamp: Date.now()
-      };
-    }
+    const data = await github.get(`/orgs/${orgName}`);
+    return {
+      name: data.login,
+      membersCount: data.public_members + (data.plan?.seats || 0),
+      reposCount: data.public_repos,
+      followersCount: data.followers,
+      timestamp: Date.now()
+    };
   } catch (error) {
     console.error('Error fetching org metadata:', error);
   }
   return null;
 }
 
+// The saved scan checkpoint (in the store with the sqlite backend), or null
+function readScanProgress() {
+  if (store) {
+    return store.get('checkpoints', 'scan');
+  }
+  return existsSync(SCAN_PROGRESS_FILE) ? JSON.parse(readFileSync(SCAN_PROGRESS_FILE, 'utf8')) : null;
+}
+
+function clearScanProgress() {
+  if (store) {
+    store.remove('checkpoints', 'scan');
+  } else if (existsSync(SCAN_PROGRESS_FILE)) {
+    unlinkSync(SCAN_PROGRESS_FILE);
+  }
+}
+
 function loadScanProgress() {
-  if (existsSync(SCAN_PROGRESS_FILE)) {
-    try {
-      const progress = JSON.parse(readFileSync(SCAN_PROGRESS_FILE, 'utf8'));
-      // Check if the progress is recent (less than 6 hours old)
-      const progressAge = Date.now() - new Date(progress.lastSavedAt).getTime();
-      if (progressAge < 6 * 60 * 60 * 1000) { // 6 hours
-        return progress;
-      } else {
-        console.log('\n⚠️ Found old progress file (>6h old). Starting fresh scan...');
-        unlinkSync(SCAN_PROGRESS_FILE);
-      }
-    } catch (error) {
-      console.error('Error loading scan progress:', error);
-      // If file is corrupted, delete it
-      unlinkSync(SCAN_PROGRESS_FILE);
+  try {
+    const progress = readScanProgress();
+    if (!progress) return null;
+    // Check if the progress is recent (less than 6 hours old)
+    const progressAge = Date.now() - new Date(progress.lastSavedAt).getTime();
+    if (progressAge < 6 * 60 * 60 * 1000) { // 6 hours
+      return progress;
     }
+    console.log('\n⚠️ Found old progress file (>6h old). Starting fresh scan...');
+    clearScanProgress();
+  } catch (error) {
+    console.error('Error loading scan progress:', error);
+    // If file is corrupted, delete it
+    clearScanProgress();
   }
   return null;
 }
@@ -249,6 +610,10 @@ function saveScanProgress(orgName, phase, processedUsers, totalUsers, processedR
     timestamp: Date.now()
   };
   
+  if (store) {
+    store.put('checkpoints', 'scan', progress);
+    return;
+  }
   writeFileSync(SCAN_PROGRESS_FILE, JSON.stringify(progress, null, 2));
 }
 
@@ -275,6 +640,7 @@ async function getOrgFollowers(orgName) {
   const previousProgress = loadScanProgress();
   let resumePhase = 1;
   let skipUsers = 0;
+  let skipRepos = 0;
   
   if (previousProgress && previousProgress.orgName === orgName) {
     const timeSinceLastSave = Date.now() - new Date(previousProgress.lastSavedAt).getTime();
@@ -291,38 +657,31 @@ async function getOrgFollowers(orgName) {
       console.log(`   • Users found: ${previousProgress.savedUsers.length}`);
       console.log(`   • Processed repos: ${previousProgress.processedRepos}`);
       
-      const resume = await new Promise(resolve => {
-        rl.question('\nDo you want to resume this scan? (yes/no): ', resolve);
-      });
+      const resume = await askYesNo('\nDo you want to resume this scan? (yes/no): ', cli.flags.resume);
       
-      if (resume.toLowerCase() === 'yes') {
+      if (resume) {
         resumePhase = previousProgress.phase;
         // Restore previously found users
         previousProgress.savedUsers.forEach(user => allUsers.add(user));
         skipUsers = previousProgress.processedUsers;
+        skipRepos = previousProgress.processedRepos || 0;
         console.log(`\n✅ Resuming scan from phase ${resumePhase}`);
         console.log(`   • Restored ${allUsers.size} previously found users`);
         startTime = Date.now() - (previousProgress.timestamp || 0); // Adjust start time
       } else {
         // Delete the progress file if not resuming
-        if (existsSync(SCAN_PROGRESS_FILE)) {
-          unlinkSync(SCAN_PROGRESS_FILE);
-        }
+        clearScanProgress();
       }
     } else {
       console.log('\n⚠️ Organization data has changed since last scan. Starting fresh...');
-      if (existsSync(SCAN_PROGRESS_FILE)) {
-        unlinkSync(SCAN_PROGRESS_FILE);
-      }
+      clearScanProgress();
     }
   }
 
   const updateProgress = (current, total, phase) => {
     const percentage = (current / total * 100).toFixed(1);
     const elapsedTime = ((Date.now() - startTime) / 1000).toFixed(1);
-    process.stdout.clearLine();
-    process.stdout.cursorTo(0);
-    process.stdout.write(`${phase}: [${percentage}%] (${current}/${total}) - ${elapsedTime}s elapsed`);
+    writeProgressLine(`${phase}: [${percentage}%] (${current}/${total}) - ${elapsedTime}s elapsed`);
     
     // Save progress periodically (every 100 users or when percentage changes)
     if (current % 100 === 0 || current === total) {
@@ -339,38 +698,12 @@ async function getOrgFollowers(orgName) {
     }
   };
 
-  // Function to handle API calls with retry on connection failure
-  async function makeApiCall(url, errorMessage) {
-    while (true) {
-      try {
-        const res = await fetch(url, { headers });
-        if (res.ok) {
-          return await res.json();
-        } else if (res.status === 403) {
-          const error = await res.json();
-          if (error.message.includes('rate limit')) {
-            console.log('\n⚠️ Rate limit hit. Waiting 60 seconds...');
-            await new Promise(resolve => setTimeout(resolve, 60000));
-            continue;
-          }
-        }
-        throw new Error(`API call failed: ${res.status}`);
-      } catch (error) {
-        console.error(`\n❌ ${errorMessage}:`, error.message);
-        if (error.message.includes('fetch failed')) {
-          console.log(`\n⚠️ Connection lost. Retrying in ${RETRY_DELAY/1000} seconds...`);
-          await new Promise(resolve => setTimeout(resolve, RETRY_DELAY));
-          continue;
-        }
-        throw error;
-      }
-    }
-  }
-
   let memberCount = 0;
   let followerCount = 0;
   let repoCount = 0;
   let processedRepos = 0;
+  // Set when a phase fails so the checkpoint is kept for the next session
+  let scanInterrupted = false;
 
   // Phase 1: Members
   if (resumePhase <= 1) {
@@ -381,7 +714,7 @@ async function getOrgFollowers(orgName) {
     while (hasMore) {
       try {
         const members = await makeApiCall(
-          `https://api.github.com/orgs/${orgName}/members?per_page=100&page=${page}&role=all`,
+          `/orgs/${orgName}/members?per_page=100&page=${page}&role=all`,
           'Failed to fetch org members'
         );
         
@@ -396,18 +729,119 @@ async function getOrgFollowers(orgName) {
         await new Promise(resolve => setTimeout(resolve, 500));
       } catch (error) {
         console.error('\n❌ Error in members phase:', error.message);
+        scanInterrupted = true;
         break;
       }
     }
-    resumePhase = 2;
-    saveScanProgress(orgName, resumePhase, allUsers.size, memberCount, 0, 0, allUsers, orgMetadata);
+    if (!scanInterrupted) {
+      resumePhase = 2;
+      skipUsers = 0;
+      saveScanProgress(orgName, resumePhase, 0, orgMetadata.followersCount, 0, 0, allUsers, orgMetadata);
+    }
   }
 
-  // ... rest of the phases with similar error handling and progress saving ...
-  
-  // Clear progress file when done
-  if (existsSync(SCAN_PROGRESS_FILE)) {
-    unlinkSync(SCAN_PROGRESS_FILE);
+  // Phase 2: Followers
+  if (!scanInterrupted && resumePhase <= 2) {
+    console.log('\n📊 Phase 2/3: Fetching organization followers...');
+    let page = Math.floor(skipUsers / 100) + 1;
+    let hasMore = true;
+
+    while (hasMore) {
+      try {
+        const followers = await makeApiCall(
+          `/users/${orgName}/followers?per_page=100&page=${page}`,
+          'Failed to fetch org followers'
+        );
+
+        if (followers.length === 0) {
+          hasMore = false;
+        } else {
+          followers.forEach(follower => allUsers.add(follower.login));
+          followerCount = (page - 1) * 100 + followers.length;
+          updateProgress(followerCount, Math.max(orgMetadata.followersCount, followerCount), 'Followers scan');
+          hasMore = followers.length === 100;
+          page++;
+        }
+        await new Promise(resolve => setTimeout(resolve, 500));
+      } catch (error) {
+        console.error('\n❌ Error in followers phase:', error.message);
+        scanInterrupted = true;
+        break;
+      }
+    }
+    if (!scanInterrupted) {
+      resumePhase = 3;
+      saveScanProgress(orgName, resumePhase, 0, 0, 0, 0, allUsers, orgMetadata);
+    }
+  }
+
+  // Phase 3: Contributors of every repository
+  if (!scanInterrupted && resumePhase <= 3) {
+    console.log('\n\n📊 Phase 3/3: Fetching repository contributors...');
+    const repos = [];
+    let page = 1;
+    let hasMore = true;
+
+    // Sorted by name so the processed-repo index stays valid across sessions
+    while (hasMore) {
+      try {
+        const pageRepos = await makeApiCall(
+          `/orgs/${orgName}/repos?per_page=100&page=${page}&sort=full_name`,
+          'Failed to fetch org repositories'
+        );
+        pageRepos.filter(repo => !repo.fork).forEach(repo => repos.push(repo.full_name));
+        hasMore = pageRepos.length === 100;
+        page++;
+      } catch (error) {
+        console.error('\n❌ Error fetching repositories:', error.message);
+        scanInterrupted = true;
+        break;
+      }
+    }
+
+    repoCount = repos.length;
+    processedRepos = Math.min(skipRepos, repoCount);
+    if (processedRepos > 0) {
+      console.log(`   • Skipping ${processedRepos} repositories scanned in a previous session`);
+    }
+
+    for (let i = processedRepos; i < repos.length && !scanInterrupted; i++) {
+      const repoName = repos[i];
+      let contributorsPage = 1;
+      let moreContributors = true;
+
+      while (moreContributors) {
+        try {
+          const contributors = await makeApiCall(
+            `/repos/${repoName}/contributors?per_page=100&page=${contributorsPage}`,
+            `Failed to fetch contributors of ${repoName}`
+          );
+          contributors
+            .filter(contributor => contributor.type === 'User')
+            .forEach(contributor => allUsers.add(contributor.login));
+          moreContributors = contributors.length === 100;
+          contributorsPage++;
+        } catch (error) {
+          // Some repositories (e.g. very large histories) refuse to list contributors; skip them
+          console.error(`\n⚠️ Skipping ${repoName}:`, error.message);
+          moreContributors = false;
+        }
+        await new Promise(resolve => setTimeout(resolve, 500));
+      }
+
+      processedRepos = i + 1;
+      writeProgressLine(`Repositories scan: [${(processedRepos / repoCount * 100).toFixed(1)}%] (${processedRepos}/${repoCount}) - ${allUsers.size} users`);
+      // Checkpoint after every repository since each one can take several calls
+      saveScanProgress(orgName, 3, 0, 0, processedRepos, repoCount, allUsers, orgMetadata);
+    }
+  }
+
+  if (scanInterrupted) {
+    // Keep the last checkpoint so the next session can pick up from it
+    console.log(`\n\n⚠️ Scan stopped early. Progress saved to ${store ? DATABASE_FILE : SCAN_PROGRESS_FILE}; run again within 6 hours to resume.`);
+  } else {
+    // Clear progress file when done
+    clearScanProgress();
   }
 
   const usersArray = Array.from(allUsers);
@@ -423,30 +857,13 @@ async function getOrgFollowers(orgName) {
 async function getOrgMembers(orgName) {
   console.log(`\n📥 Fetching current members of ${orgName}...`);
   let allMembers = new Set();
-  let page = 1;
-  let hasMore = true;
-
-  while (hasMore) {
-    try {
-      const res = await fetch(`https://api.github.com/orgs/${orgName}/members?per_page=100&page=${page}`, { headers });
-      
-      if (!res.ok) {
-        const error = await res.json();
-        console.error('❌ Failed to fetch members:', error.message);
-        break;
-      }
 
-      const members = await res.json();
-      if (members.length === 0) {
-        hasMore = false;
-      } else {
-        members.forEach(member => allMembers.add(member.login));
-        page++;
-      }
-    } catch (error) {
-      console.error('❌ Error:', error.message);
-      break;
+  try {
+    for await (const members of github.pages(`/orgs/${orgName}/members`)) {
+      members.forEach(member => allMembers.add(member.login));
     }
+  } catch (error) {
+    console.error('❌ Failed to fetch members:', error.message);
   }
 
   return Array.from(allMembers);
@@ -454,360 +871,743 @@ async function getOrgMembers(orgName) {
 
 async function getTeamId(orgName, teamSlug) {
   try {
-    const res = await fetch(`https://api.github.com/orgs/${orgName}/teams/${teamSlug}`, { headers });
-    if (res.ok) {
-      const team = await res.json();
-      return team.id;
-    }
-    return null;
+    const team = await github.get(`/orgs/${orgName}/teams/${teamSlug}`);
+    return team.id;
   } catch (error) {
+    if (error.status === 404) return null;
     console.error('❌ Error fetching team ID:', error.message);
     return null;
   }
 }
 
+// e.g. '"support", "mentors" teams'
+function describeTeams(teams) {
+  return `${teams.map(team => `"${team}"`).join(', ')} team${teams.length === 1 ? '' : 's'}`;
+}
+
+// Look up the IDs of every configured team, or null if one is missing
+async function getTeamIds(targetOrg, teams = TEAMS) {
+  console.log(`\n🔍 Fetching ${describeTeams(teams)} information...`);
+  const teamIds = [];
+  for (const team of teams) {
+    const teamId = await getTeamId(targetOrg, team);
+    if (!teamId) {
+      console.error(`❌ Could not find the "${team}" team. Please check https://github.com/orgs/${targetOrg}/teams/${team} and try again.`);
+      return null;
+    }
+    teamIds.push(teamId);
+  }
+  return teamIds;
+}
+
 async function getUserId(username) {
+  // Candidates checked against the qualification rules already have their ID
+  const profile = candidateProfiles.get(username.toLowerCase());
+  if (profile) return profile.id;
+
   try {
-    const res = await fetch(`https://api.github.com/users/${username}`, { headers });
-    if (res.ok) {
-      const user = await res.json();
-      return user.id;
-    }
-    return null;
+    const user = await github.get(`/users/${username}`);
+    return user.id;
   } catch (error) {
+    if (error.status === 404) return null;
     console.error('❌ Error fetching user ID:', error.message);
     return null;
   }
 }
 
-function cleanupLogFile() {
-  if (!existsSync(LOG_FILE)) return;
-  
-  const now = Date.now();
-  const oneDay = 24 * 60 * 60 * 1000; // 24 hours in milliseconds
-  
-  const logContent = readFileSync(LOG_FILE, 'utf8');
-  const lines = logContent.split('\n').filter(line => {
-    if (!line.trim()) return false;
-    
-    const [timestamp] = line.split(' - ');
-    const inviteTime = new Date(timestamp).getTime();
-    return now - inviteTime <= oneDay;
-  });
-  
-  writeFileSync(LOG_FILE, lines.join('\n') + '\n');
-}
+// Follow a user from the bot account (PUT /user/following/{username});
+// rate limits are waited out by the shared client
+async function followUser(username) {
+  if (DRY_RUN) {
+    plan.addFollow(username);
+    console.log(`🧪 Would follow @${username}`);
+    return true;
+  }
 
-function getLastSearchFromLog() {
-  if (!existsSync(LOG_FILE)) return null;
-  
-  const logContent = readFileSync(LOG_FILE, 'utf8');
-  const lines = logContent.split('\n').filter(Boolean);
-  
-  if (lines.length === 0) return null;
-  
-  const lastLine = lines[lines.length - 1];
-  const match = lastLine.match(/search-(.*?) -/);
-  return match ? match[1] : null;
+  try {
+    const { status } = await github.request('PUT', `/user/following/${username}`);
+    eventLog.record('followed', { username, httpStatus: status });
+    console.log(`✅ Followed @${username}`);
+    return true;
+  } catch (error) {
+    console.error(`❌ Failed to follow @${username}:`, error.message);
+    return false;
+  }
 }
 
-// Modify the appendToLog function to ensure we preserve existing data
-function appendToLog(sourceUsername, invitedUser) {
-  const timestamp = new Date().toISOString();
-  const logEntry = `${timestamp} - ${sourceUsername} - ${invitedUser}\n`;
-  
+// Cache of validateUser results so repeated mentions only cost one lookup
+const validatedUsers = new Map();
+
+// Check that a login belongs to an existing, human GitHub user account.
+// Returns { valid, reason } where reason explains why a login was rejected.
+async function validateUser(username) {
+  const key = username.toLowerCase();
+  if (validatedUsers.has(key)) {
+    return validatedUsers.get(key);
+  }
+
+  let result;
   try {
-    // Create backup of current log first if it exists
-    if (existsSync(LOG_FILE)) {
-      copyFileSync(LOG_FILE, `${LOG_FILE}.backup`);
+    const user = await github.get(`/users/${username}`);
+    if (user.type === 'Bot' || looksLikeBot(user.login)) {
+      result = { valid: false, reason: 'account is a bot' };
+    } else if (user.type !== 'User') {
+      result = { valid: false, reason: `account is of type ${user.type}` };
+    } else {
+      result = { valid: true, reason: null };
     }
-
-    // Ensure directory exists
-    const logDir = dirname(LOG_FILE);
-    if (!existsSync(logDir)) {
-      mkdirSync(logDir, { recursive: true });
+  } catch (error) {
+    if (error.status !== 404) {
+      // Don't cache unexpected failures, they may succeed on a later lookup
+      return { valid: false, reason: `lookup failed (${error.message})` };
     }
+    result = { valid: false, reason: 'account does not exist' };
+  }
+
+  validatedUsers.set(key, result);
+  return result;
+}
+
+// Profiles fetched while qualifying candidates, keyed by lowercase login
+const candidateProfiles = new Map();
+
+// Keep the latest profile of each user fetched (sqlite backend only)
+function saveProfileSnapshots(profiles, sourceType) {
+  if (!store || DRY_RUN || profiles.length === 0) return;
+  const fetchedOn = new Date().toISOString().split('T')[0];
+  store.putMany('profiles', profiles.map(profile => [
+    profile.username.toLowerCase(),
+    { ...profile, source_type: sourceType, fetched_on: fetchedOn }
+  ]));
+}
 
-    // Append to log file (create if doesn't exist)
-    if (!existsSync(LOG_FILE)) {
-      writeFileSync(LOG_FILE, '');
+// Check candidates against the qualification rules in the config (or a
+// campaign's own rules). Returns { qualified, rejected } where each rejected
+// entry lists its reasons.
+async function qualifyCandidates(usernames, rules = QUALIFICATION_RULES) {
+  const qualified = [];
+  const rejected = [];
+
+  console.log(`\n🔎 Checking ${usernames.length} candidate${usernames.length === 1 ? '' : 's'} against the qualification rules...`);
+  for (let i = 0; i < usernames.length; i++) {
+    const username = usernames[i];
+    if (i % 10 === 0 || i === usernames.length - 1) {
+      writeProgressLine(`   Checked ${i + 1}/${usernames.length}: @${username}`);
     }
-    appendFileSync(LOG_FILE, logEntry);
 
-    // Append to JSON file while preserving existing entries
-    let jsonEntries = [];
-    if (existsSync('invited_users.json')) {
+    let profile = candidateProfiles.get(username.toLowerCase());
+    // A profile fetched for other rules may lack the last push
+    if (!profile || (needsLastPush(rules) && profile.last_push_at === undefined)) {
       try {
-        const content = readFileSync('invited_users.json', 'utf8');
-        jsonEntries = content.split('\n')
-          .filter(line => line.trim())
-          .map(line => JSON.parse(line));
+        profile = await fetchCandidateProfile(github, username, rules);
       } catch (error) {
-        console.error('Warning: Error reading existing invited_users.json');
+        rejected.push({ username, reasons: [error.status === 404 ? 'account does not exist' : `lookup failed (${error.message})`] });
+        continue;
       }
+      candidateProfiles.set(username.toLowerCase(), profile);
+      saveProfileSnapshots([profile], 'qualification');
     }
-    
-    // Add new entry
-    jsonEntries.push({
-      timestamp,
-      source: sourceUsername,
-      username: invitedUser,
-      status: 'invited'
-    });
 
-    // Write back all entries
-    writeFileSync('invited_users.json', 
-      jsonEntries.map(entry => JSON.stringify(entry)).join('\n') + '\n'
-    );
-
-    // Verify the write
-    const lastLine = readFileSync(LOG_FILE, 'utf8').split('\n').filter(Boolean).pop();
-    if (lastLine !== logEntry.trim()) {
-      throw new Error('Log entry verification failed');
+    const { qualified: passed, reasons } = evaluateCandidate(profile, rules);
+    if (passed) {
+      qualified.push(username);
+    } else {
+      rejected.push({ username, reasons });
     }
+  }
+  if (process.stdout.isTTY) {
+    process.stdout.write('\n');
+  }
+
+  return { qualified, rejected };
+}
 
-    console.log('\n📝 Successfully logged invitation');
+// Start this run's audit record; it is finished and saved again when the process exits
+async function startRunRecord() {
+  try {
+    runRecord.setOperator((await github.get('/user')).login);
   } catch (error) {
-    console.error('\n❌ Error writing to log:', error.message);
-    
-    // Try to restore from backup if we have one
-    if (existsSync(`${LOG_FILE}.backup`)) {
-      try {
-        copyFileSync(`${LOG_FILE}.backup`, LOG_FILE);
-        appendFileSync(LOG_FILE, logEntry);
-        console.log('✅ Restored from backup and added new entry');
-      } catch (backupError) {
-        console.error('❌ Failed to restore from backup:', backupError.message);
-      }
-    }
+    console.log(`⚠️ Could not look up the token's login for the run record: ${error.message}`);
   }
+  runRecord.save();
+  process.on('exit', code => {
+    runRecord.finish({ exitCode: code, rateLimitEvents: github.rateLimitEvents });
+    runRecord.save();
+  });
+  console.log(`🧾 Run ID: ${RUN_ID}\n`);
 }
 
-// Add this function after getPreviouslyInvitedUsers()
-function isUserAlreadyInvited(username) {
-  const logContent = readFileSync(LOG_FILE, 'utf8');
-  const invitedUsers = logContent.split('\n')
-    .filter(line => line.trim())
-    .map(line => {
-      const parts = line.split(' - ');
-      return parts.length >= 2 ? parts[2] : null;
-    })
-    .filter(user => user !== null);
-  
-  return invitedUsers.includes(username);
-}
-
-// Add these functions before searchUsersByKeyword
-function parseGitHubQuery(query) {
-  const filters = {
-    base: [],
-    followers: '',
-    repos: '',
-    language: '',
-    location: '',
-    created: '',
-    pushed: ''
-  };
+// "1h 2m 5s" for a number of milliseconds
+function formatDuration(ms) {
+  const seconds = Math.round(ms / 1000);
+  const parts = [[Math.floor(seconds / 3600), 'h'], [Math.floor(seconds % 3600 / 60), 'm'], [seconds % 60, 's']];
+  return parts.filter(([value], index) => value > 0 || index === 2).map(([value, unit]) => `${value}${unit}`).join(' ');
+}
 
-  // Split query into parts, preserving quoted strings
-  const parts = query.match(/(?:[^\s"]+|"[^"]*")+/g) || [];
-
-  parts.forEach(part => {
-    // Remove quotes from quoted strings
-    part = part.replace(/^"(.*)"$/, '$1');
-
-    if (part.includes(':')) {
-      const [key, value] = part.split(':');
-      switch (key.toLowerCase()) {
-        case 'followers':
-        case 'repos':
-          filters[key] = value;
-          break;
-        case 'language':
-          filters.language = value;
-          break;
-        case 'location':
-          filters.location = value;
-          break;
-        case 'created':
-        case 'pushed':
-          filters[key] = value;
-          break;
-        default:
-          filters.base.push(part);
-      }
-    } else {
-      filters.base.push(part);
+// `runs list|show <id>`: look back at earlier runs
+function showRuns(action, id) {
+  const runsDir = settings.paths.runs;
+
+  if (action === 'list') {
+    const runs = RunRecord.list(runsDir);
+    if (runs.length === 0) {
+      console.log('📭 No runs recorded yet.');
+      return true;
     }
-  });
+    console.log(`\n🧾 ${runs.length} recorded run${runs.length === 1 ? '' : 's'}, newest first:`);
+    for (const run of runs.slice(0, 20)) {
+      const skipped = Object.values(run.skipped).reduce((sum, count) => sum + count, 0);
+      console.log(`   • ${run.id}  ${run.status.padEnd(9)}  ${run.command.join(' ') || '(interactive)'}`);
+      console.log(`     sent ${run.invites_sent}, failed ${run.invites_failed}, skipped ${skipped}${run.operator ? `, by @${run.operator}` : ''}`);
+    }
+    if (runs.length > 20) {
+      console.log(`   … and ${runs.length - 20} older runs in ${runsDir}`);
+    }
+    return true;
+  }
 
-  return filters;
-}
+  if (action !== 'show' || !id) {
+    console.error('❌ Usage: runs list | runs show <id>');
+    process.exitCode = 1;
+    return false;
+  }
 
-function validateSearchFilters(filters) {
-  const errors = [];
-  
-  // Validate numeric filters
-  ['followers', 'repos'].forEach(key => {
-    if (filters[key] && !/^[<>]=?\d+$/.test(filters[key])) {
-      errors.push(`Invalid ${key} filter. Use format: ${key}:>100 or ${key}:>=100`);
-    }
-  });
+  let run;
+  try {
+    run = RunRecord.find(runsDir, id);
+  } catch (error) {
+    console.error(`❌ ${error.message}`);
+    process.exitCode = 1;
+    return false;
+  }
+  if (!run) {
+    console.error(`❌ No run with ID ${id}`);
+    process.exitCode = 1;
+    return false;
+  }
 
-  // Validate date filters
-  ['created', 'pushed'].forEach(key => {
-    if (filters[key] && !/^[<>]=?\d{4}-\d{2}-\d{2}$/.test(filters[key])) {
-      errors.push(`Invalid ${key} filter. Use format: ${key}:>2020-01-01 or ${key}:>=2020-01-01`);
-    }
-  });
+  const duration = run.ended_at ? formatDuration(new Date(run.ended_at) - new Date(run.started_at)) : 'still running (or was killed)';
+  console.log(`\n🧾 Run ${run.id} (${run.status}${run.exit_code ? `, exit code ${run.exit_code}` : ''})`);
+  console.log(`   • Command: ${run.command.join(' ') || '(interactive)'}`);
+  console.log(`   • Operator: ${run.operator ? `@${run.operator}` : 'unknown'}`);
+  console.log(`   • Started: ${new Date(run.started_at).toLocaleString()} (${duration})`);
+  console.log(`   • Organization: ${run.org}${run.teams.length ? ` (${run.teams.join(', ')})` : ''}${run.profile ? `, profile ${run.profile}` : ''}`);
+
+  const sources = Object.entries(run.candidates);
+  console.log(`   • Candidates: ${sources.length ? sources.map(([source, count]) => `${count} from ${source}`).join(', ') : 'none'}`);
+  console.log(`   • Invites sent: ${run.invites_sent}, failed: ${run.invites_failed}`);
+  if (run.follows || run.cancelled || run.accepted) {
+    console.log(`   • Follows: ${run.follows}, cancelled: ${run.cancelled}, accepted: ${run.accepted}`);
+  }
+
+  const skipped = Object.entries(run.skipped).sort((a, b) => b[1] - a[1]);
+  if (skipped.length > 0) {
+    console.log('   • Skipped:');
+    skipped.forEach(([reason, count]) => console.log(`     - ${reason}: ${count}`));
+  }
+  if (run.rate_limit_events.length > 0) {
+    const waited = run.rate_limit_events.reduce((sum, event) => sum + (event.waitSeconds || 0), 0);
+    console.log(`   • Rate limits: ${run.rate_limit_events.length} waits, ${formatDuration(waited * 1000)} in total`);
+  }
+
+  const invites = eventLog.read({ runId: run.id, types: ['invite_sent', 'invite_failed'] });
+  if (invites.length > 0) {
+    console.log('   • Invitations:');
+    invites.forEach(event => {
+      const outcome = event.type === 'invite_sent' ? '✅' : `❌ ${event.http_status || ''} ${event.details?.message || ''}`.trimEnd();
+      console.log(`     - @${event.username} ${outcome}`);
+    });
+  }
+  return true;
+}
 
-  return errors;
+// Copy the invites of the legacy text log into the event log. Lines already
+// converted are skipped, so this is safe to run more than once.
+function convertInvitationLog() {
+  const { converted, duplicates, unparsed } = eventLog.convertLegacyLog(LOG_FILE);
+  console.log(`📦 Converted ${basename(LOG_FILE)} into ${basename(store ? DATABASE_FILE : EVENT_LOG_FILE)}:`);
+  console.log(`   • ${converted} invites converted`);
+  console.log(`   • ${duplicates} already in the event log`);
+  if (unparsed > 0) {
+    console.log(`   • ${unparsed} lines could not be read`);
+  }
+  return converted > 0;
 }
 
-function buildGitHubSearchUrl(filters, page) {
-  const query = ['type:user']; // Add type:user filter to only get individual users
+// First run after upgrading: the event log is still empty but the text log is not
+function convertInvitationLogOnce() {
+  if (DRY_RUN || !existsSync(LOG_FILE) || !readFileSync(LOG_FILE, 'utf8').trim()) return;
+  if (store ? store.eventCount() > 0 : readFileSync(EVENT_LOG_FILE, 'utf8').trim()) return;
+  convertInvitationLog();
+}
 
-  // Add base keywords
-  if (filters.base.length > 0) {
-    query.push(filters.base.join(' '));
+// Record a sent invitation in the invite ledger and the event log
+function appendToLog(sourceUsername, invitedUser, targetOrg = ORG, team = null, httpStatus = null) {
+  const timestamp = new Date().toISOString();
+
+  // The ledger is the permanent history, so write it first
+  try {
+    inviteLedger.recordInvite(invitedUser, { source: sourceUsername, org: targetOrg, team, timestamp });
+  } catch (error) {
+    console.error('\n❌ Error writing to invite ledger:', error.message);
+  }
+
+  // The ledger keeps dry-run invites in memory; the event log skips them
+  try {
+    eventLog.record('invite_sent', { username: invitedUser, org: targetOrg, team, source: sourceUsername, httpStatus, timestamp });
+  } catch (error) {
+    console.error('\n❌ Error writing to event log:', error.message);
   }
+}
 
-  // Add filters
-  if (filters.followers) query.push(`followers:${filters.followers}`);
-  if (filters.repos) query.push(`repos:${filters.repos}`);
-  if (filters.language) query.push(`language:${filters.language}`);
-  if (filters.location) query.push(`location:"${filters.location}"`);
-  if (filters.created) query.push(`created:${filters.created}`);
-  if (filters.pushed) query.push(`pushed:${filters.pushed}`);
+// Record an invitation GitHub refused (or that never reached it) in the event log
+function recordFailedInvite(username, sourceUsername, targetOrg, error, teamIds = [], teams = TEAMS) {
+  eventLog.record('invite_failed', {
+    username,
+    org: targetOrg,
+    team: teamIds.length ? teams.join(',') : null,
+    source: sourceUsername,
+    httpStatus: error.status || null,
+    details: { message: error.message }
+  });
+}
 
-  // Build the URL
-  const encodedQuery = encodeURIComponent(query.join(' '));
-  return `https://api.github.com/search/users?q=${encodedQuery}&page=${page}`;
+// Dedup check against the full invite history
+function isUserAlreadyInvited(username) {
+  return inviteLedger.isAlreadyInvited(username);
 }
 
-// Modify the searchUsersByKeyword function
-async function searchUsersByKeyword(query, startPage = 0, getAllUsers = false) {
+// Search users through the validated filter builder. Searches with more
+// matches than the API returns (1000) are split into created:/followers:
+// slices so every matching user is collected. Progress is checkpointed per
+// query, so an interrupted search resumes where it stopped. Returns the users
+// found that no earlier run has invited or skipped yet.
+async function searchUsersByKeyword(query) {
   console.log(`\n🔍 Searching for users matching: "${query}"`);
-  let allUsers = new Set();
-  let page = startPage || 1;
-  let hasMore = true;
-  let startTime = Date.now();
-  let totalResults = 0;
+  const filters = parseGitHubQuery(query);
+  const errors = validateSearchFilters(filters);
+  if (errors.length > 0) {
+    errors.forEach(error => console.error(`❌ ${error}`));
+    process.exitCode = 1;
+    return [];
+  }
 
-  while (hasMore) {
-    try {
-      const res = await fetch(
-        `https://api.github.com/search/users?q=${encodeURIComponent(query)}&page=${page}&per_page=100`,
-        { headers }
-      );
+  const key = buildSearchQuery(filters);
+  const previous = searchCheckpoints.get(key);
+  if (searchCheckpoints.isExhausted(key)) {
+    console.log(`✨ This search is exhausted: all ${previous.users.length} users it found were invited or skipped.`);
+    console.log(`   Run 'searches reset "${query}"' to search it again from scratch.`);
+    return [];
+  }
+  if (previous) {
+    const slices = Object.values(previous.slices);
+    console.log(`↩️ Resuming from the checkpoint of ${new Date(previous.last_run_at).toLocaleString()}: ${previous.users.length} users found, ${slices.filter(slice => slice.done && !slice.split).length} slices done${previous.complete ? ' (search complete)' : ''}`);
+  }
 
-      if (!res.ok) {
-        const error = await res.json();
-        console.error('❌ Search failed:', error.message);
-        break;
+  const checkpoint = searchCheckpoints.start(key, { label: query });
+  const startTime = Date.now();
+  let result;
+  try {
+    result = await searchUsers(github, filters, {
+      checkpoint,
+      onProgress: () => {
+        searchCheckpoints.touch(key);
+        searchCheckpoints.save();
       }
+    });
+  } catch (error) {
+    console.error('❌ Search failed:', error.message);
+    console.log('   Progress so far is saved; run the same search again to resume.');
+    process.exitCode = 1;
+    return [];
+  }
 
-      const data = await res.json();
-      totalResults = data.total_count;
-      
-      if (data.items.length === 0 || (!getAllUsers && allUsers.size >= 500)) {
-        hasMore = false;
-      } else {
-        data.items.forEach(user => allUsers.add(user.login));
-        console.log(`   Found ${allUsers.size}/${totalResults} users...`);
-        page++;
-        
-        // Add delay to avoid rate limiting
-        await new Promise(resolve => setTimeout(resolve, 2000));
+  const totalTime = ((Date.now() - startTime) / 1000).toFixed(1);
+  console.log(`\n✅ Found ${result.users.length} users in ${totalTime}s${result.slices > 1 ? ` (${result.slices} slices)` : ''}`);
+  for (const { query: sliceQuery, totalCount } of result.capped) {
+    console.log(`⚠️ "${sliceQuery}" has ${totalCount} matches and cannot be split further; only the first ${SEARCH_RESULT_CAP} were fetched`);
+  }
+
+  const remaining = searchCheckpoints.remaining(key);
+  if (remaining.length < result.users.length) {
+    console.log(`   ${result.users.length - remaining.length} of them were dealt with by earlier runs`);
+  }
+  return remaining;
+}
+
+// Note which users of a search this run invited or skipped, so the next run
+// of the search only goes through the rest
+function recordSearchOutcome(query) {
+  const key = buildSearchQuery(parseGitHubQuery(query));
+  if (!searchCheckpoints.get(key)) return;
+
+  const skipped = eventLog.read({ runId: RUN_ID, types: ['skipped'] })
+    .filter(event => event.source_type === 'search' && event.source_value === query)
+    .map(event => event.username);
+  const found = searchCheckpoints.get(key).users;
+  searchCheckpoints.markHandled(key, {
+    invited: found.filter(username => inviteLedger.has(username)),
+    // Queued candidates are left to the review queue
+    skipped: [...skipped, ...found.filter(username => candidateQueue.get(username))]
+  });
+  searchCheckpoints.save();
+}
+
+async function inviteFromSearch(query) {
+  const result = await handleSponsorInvitations(await searchUsersByKeyword(query), `search-${query}`, ORG);
+  recordSearchOutcome(query);
+  return result;
+}
+
+// `searches list|reset "<query>"`: keyword search checkpoints
+function manageSearches(action, query) {
+  if (action === 'list') {
+    const searches = searchCheckpoints.list();
+    if (searches.length === 0) {
+      console.log('✨ No keyword searches recorded yet.');
+      return true;
+    }
+    console.log(`\n🔍 ${searches.length} keyword search${searches.length === 1 ? '' : 'es'}, most recent first:`);
+    for (const search of searches) {
+      const state = searchCheckpoints.isExhausted(search.query)
+        ? 'exhausted'
+        : search.complete ? 'fetched' : 'in progress';
+      console.log(`   • "${search.label || search.query}"  ${state}`);
+      console.log(`     ${search.users.length}${search.total_count === null ? '' : `/${search.total_count}`} found, ${search.invited.length} invited, ${search.skipped.length} skipped, ${searchCheckpoints.remaining(search.query).length} left; last run ${new Date(search.last_run_at).toLocaleString()}`);
+    }
+    return true;
+  }
+  if (action === 'reset' && query) {
+    const key = buildSearchQuery(parseGitHubQuery(query));
+    if (!searchCheckpoints.remove(key)) {
+      console.error(`❌ No checkpoint for "${query}"`);
+      process.exitCode = 1;
+      return false;
+    }
+    searchCheckpoints.save();
+    console.log(`🗑️ Forgot the checkpoint of "${query}"${DRY_RUN ? ' (dry run: not saved)' : ''}; its next run starts over.`);
+    return true;
+  }
+  console.error('❌ Usage: searches list | searches reset "<query>"');
+  process.exitCode = 1;
+  return false;
+}
+
+// Run one campaign: search for users who signed up since its last complete
+// search (the first run finds every existing match) and queue the qualified
+// ones, up to the campaign's share of today's invites. The rest are carried
+// over to its next run. Returns what it did, for the report.
+async function runCampaign(name, campaign, members) {
+  const state = campaignState.get(name);
+  const source = `campaign-${name}`;
+  const result = { found: 0, skipped: 0, rejected: 0, queued: 0, approved: 0, carriedOver: 0, error: null };
+
+  console.log(`\n📣 Campaign "${name}": ${campaign.query}${state.since ? ` (users who signed up since ${state.since})` : ''}`);
+  const filters = parseGitHubQuery(campaign.query);
+  if (state.since) {
+    filters.created = `>=${state.since}`;
+  }
+  const key = buildSearchQuery(filters);
+  if (searchCheckpoints.get(key)) {
+    console.log('↩️ Resuming the search its last run did not finish');
+  }
+
+  // The campaign's search is checkpointed like a keyword search, so an
+  // interrupted run resumes it instead of starting over
+  const checkpoint = searchCheckpoints.start(key, { label: `${source}: ${campaign.query}` });
+  let searchResult;
+  try {
+    searchResult = await searchUsers(github, filters, {
+      checkpoint,
+      onProgress: () => {
+        searchCheckpoints.touch(key);
+        searchCheckpoints.save();
       }
-    } catch (error) {
-      console.error('❌ Error:', error.message);
-      break;
+    });
+  } catch (error) {
+    console.error('❌ Search failed:', error.message);
+    result.error = error.message;
+    state.last_result = { ...result, at: new Date().toISOString() };
+    campaignState.save();
+    return result;
+  }
+  for (const { query: sliceQuery, totalCount } of searchResult.capped) {
+    console.log(`⚠️ "${sliceQuery}" has ${totalCount} matches and cannot be split further; only the first ${SEARCH_RESULT_CAP} were fetched`);
+  }
+
+  const found = searchCheckpoints.remaining(key);
+  const seen = new Set();
+  const usernames = [...state.carry_over, ...found].filter(username => {
+    if (seen.has(username.toLowerCase())) return false;
+    seen.add(username.toLowerCase());
+    return true;
+  });
+  result.found = found.length;
+  runRecord.addCandidates(source, usernames.length);
+
+  const candidates = [];
+  for (const username of usernames) {
+    const blockEntry = blocklist.get(username);
+    const skipReason = members.includes(username) ? 'already a member'
+      : isUserAlreadyInvited(username) ? 'already invited'
+      : blockEntry ? 'blocklisted'
+      : candidateQueue.get(username) ? 'already queued'
+      : null;
+    if (skipReason) {
+      recordSkip(username, skipReason, { source, details: blockEntry ? blocklist.describe(blockEntry) : null });
+      result.skipped++;
+    } else {
+      candidates.push(username);
     }
   }
 
-  const totalTime = ((Date.now() - startTime) / 1000).toFixed(1);
-  console.log(`\n✅ Found ${allUsers.size} users in ${totalTime}s`);
-  
-  // Save search progress
-  searchProgress = {
-    lastSearch: query,
-    completedCount: allUsers.size,
-    totalCount: totalResults,
-    remainingUsers: Array.from(allUsers)
-  };
-  updateSearchProgress();
+  // Only as many candidates are checked as the daily share can still take;
+  // the rest are carried over unchecked
+  const rules = { ...QUALIFICATION_RULES, ...campaign.qualification };
+  const allowance = campaignState.queueAllowance(name, campaign, DAILY_INVITE_LIMIT);
+  const qualified = [];
+  let checked = 0;
+  while (checked < candidates.length && qualified.length < allowance) {
+    const batch = candidates.slice(checked, checked + allowance - qualified.length);
+    checked += batch.length;
+    const { qualified: passed, rejected } = await qualifyCandidates(batch, rules);
+    for (const { username, reasons } of rejected) {
+      recordSkip(username, 'did not meet qualification rules', { source, details: reasons.join('; ') });
+    }
+    qualified.push(...passed);
+    result.rejected += rejected.length;
+  }
 
-  return Array.from(allUsers);
+  for (const username of qualified) {
+    const profile = candidateProfiles.get(username.toLowerCase()) || null;
+    if (!candidateQueue.add(username, { source, profile, teams: campaign.team ? [campaign.team] : null })) continue;
+    result.queued++;
+    if (campaign.autoApprove) {
+      candidateQueue.setStatus(username, 'approved', `approved by campaign ${name}`);
+      result.approved++;
+    }
+  }
+  candidateQueue.save();
+  campaignState.addQueued(name, result.queued);
+  state.carry_over = candidates.slice(checked);
+  result.carriedOver = state.carry_over.length;
+
+  // Every user found was queued, skipped or carried over
+  searchCheckpoints.markHandled(key, { skipped: found });
+  if (checkpoint.complete) {
+    // The next run only looks for users who signed up from the last day this one covered
+    state.since = checkpoint.until;
+    searchCheckpoints.remove(key);
+  }
+  searchCheckpoints.save();
+
+  state.last_run_at = new Date().toISOString();
+  state.last_result = { ...result, at: state.last_run_at };
+  campaignState.save();
+  return result;
 }
 
-async function getRepoContributors(repoUrl) {
-  try {
-    // Extract owner and repo name from URL
-    const urlParts = repoUrl.replace('https://github.com/', '').split('/');
-    const owner = urlParts[0];
-    const repo = urlParts[1];
+// "in 3h", "now" or "disabled" for the next run of a campaign
+function describeNextCampaignRun(name, campaign) {
+  if (!campaign.enabled) return 'disabled';
+  const lastRun = campaignState.get(name).last_run_at;
+  const dueAt = lastRun ? new Date(lastRun).getTime() + parseInterval(campaign.every) : 0;
+  return dueAt <= Date.now() ? 'now' : `in ${formatDuration(dueAt - Date.now())}`;
+}
 
-    console.log(`📥 Fetching contributors from ${owner}/${repo}...`);
-    let allContributors = new Set();
-    let page = 1;
-    let hasMore = true;
+// `campaigns list|run [names...]`: saved searches from the config's "campaigns"
+async function manageCampaigns(action, names) {
+  const campaignNames = Object.keys(CAMPAIGNS);
+  if (campaignNames.length === 0 && ['list', 'run'].includes(action)) {
+    console.log('✨ No campaigns configured. Add them to "campaigns" in the config.');
+    return action === 'list';
+  }
 
-    while (hasMore) {
-      const res = await fetch(`https://api.github.com/repos/${owner}/${repo}/contributors?per_page=100&page=${page}`, { headers });
-      
-      if (!res.ok) {
-        const error = await res.json();
-        console.error('❌ Failed to fetch contributors:', error.message);
-        break;
+  if (action === 'list') {
+    console.log(`\n📣 ${campaignNames.length} campaign${campaignNames.length === 1 ? '' : 's'}:`);
+    for (const [name, campaign] of Object.entries(CAMPAIGNS)) {
+      const state = campaignState.get(name);
+      console.log(`   • ${name}: "${campaign.query}"  every ${campaign.every}, next run ${describeNextCampaignRun(name, campaign)}`);
+      console.log(`     Team: ${campaign.team || TEAMS.join(', ')}; daily share: ${campaign.dailyShare === null ? 'none' : `${Math.floor(campaign.dailyShare * DAILY_INVITE_LIMIT)} invites`}${campaign.autoApprove ? '; auto-approved' : ''}`);
+      if (state.last_run_at) {
+        const last = state.last_result;
+        console.log(`     Last run ${new Date(state.last_run_at).toLocaleString()}: ${last.found} found, ${last.queued} queued, ${state.carry_over.length} carried over${state.since ? `; new users since ${state.since}` : ''}`);
       }
+    }
+    return true;
+  }
 
-      const contributors = await res.json();
-      contributors.forEach(user => allContributors.add(user.login));
-      
-      // Check if there are more pages
-      const linkHeader = res.headers.get('link');
-      if (!linkHeader || !linkHeader.includes('rel="next"')) {
-        hasMore = false;
-      } else {
-        page++;
-      }
+  if (action !== 'run') {
+    console.error('❌ Usage: campaigns list | campaigns run [names...]');
+    process.exitCode = 1;
+    return false;
+  }
+
+  const unknown = names.filter(name => !CAMPAIGNS[name]);
+  if (unknown.length > 0) {
+    console.error(`❌ Unknown campaign${unknown.length === 1 ? '' : 's'}: ${unknown.join(', ')} (configured: ${campaignNames.join(', ')})`);
+    process.exitCode = 1;
+    return false;
+  }
+
+  // Campaigns named on the command line run even when they are not due
+  const due = names.length > 0
+    ? names
+    : campaignNames.filter(name => CAMPAIGNS[name].enabled && campaignState.isDue(name, CAMPAIGNS[name]));
+  if (due.length === 0) {
+    console.log('✨ No campaigns are due. Run "campaigns list" to see when they are.');
+    return false;
+  }
+
+  const members = await getOrgMembers(ORG);
+  const results = [];
+  for (const name of due) {
+    results.push([name, await runCampaign(name, CAMPAIGNS[name], members)]);
+  }
+
+  console.log('\n📊 Campaign results:');
+  for (const [name, result] of results) {
+    if (result.error) {
+      console.log(`   • ${name}: search failed (${result.error}); it resumes on the next run`);
+      continue;
     }
+    console.log(`   • ${name}: ${result.found} new match${result.found === 1 ? '' : 'es'}, ${result.queued} queued${result.approved ? ` (${result.approved} approved)` : ''}, ${result.skipped} skipped, ${result.rejected} not qualified, ${result.carriedOver} carried over`);
+  }
+  const counts = candidateQueue.statusCounts();
+  console.log(`   Queue: ${counts.pending} pending, ${counts.approved} approved`);
+  console.log('   Review them with "queue review", then send invites with "queue run" or "schedule".');
 
-    // Now scan each contributor's repositories
-    const additionalUsers = new Set();
-    for (const contributor of allContributors) {
-      try {
-        console.log(`🔍 Scanning repositories of @${contributor}...`);
-        const userRepos = await fetch(`https://api.github.com/users/${contributor}/repos?per_page=100`, { headers });
-        
-        if (userRepos.ok) {
-          const repos = await userRepos.json();
-          for (const repo of repos) {
-            if (!repo.fork) { // Skip forked repositories
-              const repoContribs = await fetch(`https://api.github.com/repos/${repo.full_name}/contributors?per_page=100`, { headers });
-              if (repoContribs.ok) {
-                const contribs = await repoContribs.json();
-                contribs.forEach(user => additionalUsers.add(user.login));
-              }
-              // Add delay to avoid rate limiting
-              await new Promise(resolve => setTimeout(resolve, 1000));
-            }
-          }
-        }
-      } catch (error) {
-        console.error(`⚠️ Error scanning repos for ${contributor}:`, error.message);
+  if (results.some(([, result]) => result.error)) {
+    process.exitCode = 1;
+  }
+  return results.some(([, result]) => result.queued > 0);
+}
+
+// Contributor crawl options: the config's "contributors" with --depth,
+// --max-repos, --min-contributions, --since and --include-bots applied
+function getCrawlOptions() {
+  const options = { ...settings.contributors };
+  const numberFlags = { depth: 'depth', 'max-repos': 'maxReposPerUser', 'min-contributions': 'minContributions' };
+  for (const [flag, key] of Object.entries(numberFlags)) {
+    if (cli.flags[flag] !== undefined) {
+      options[key] = Number(cli.flags[flag]);
+    }
+  }
+  if (cli.flags.since !== undefined) {
+    // --since is shared with invite repo-activity, so name the flag rather than the setting
+    if (!/^\d{4}-\d{2}-\d{2}$/.test(cli.flags.since) || Number.isNaN(Date.parse(cli.flags.since))) {
+      throw new Error('--since must be a date (YYYY-MM-DD)');
+    }
+    options.since = cli.flags.since;
+  }
+  if (cli.flags['include-bots']) {
+    options.excludeBots = false;
+  }
+
+  const problems = validateCrawlOptions(options);
+  if (problems.length > 0) {
+    throw new Error(`Invalid contributor crawl options: ${problems.join('; ')}`);
+  }
+  return options;
+}
+
+// Contributors of a repository and, up to the crawl depth, of the
+// repositories those contributors own. The crawl is checkpointed, so an
+// interrupted one resumes where it stopped. Prints how each user was reached.
+async function getRepoContributors(repoUrl, options = CRAWL_OPTIONS) {
+  const [owner, name] = repoUrl.replace(/^https:\/\/github\.com\//, '').split('/');
+  if (!owner || !name) {
+    console.error(`❌ Not a repository: ${repoUrl}`);
+    process.exitCode = 1;
+    return [];
+  }
+  const repo = `${owner}/${name.replace(/\.git$/, '')}`;
+
+  const key = crawlKey(repo, options);
+  const previous = crawlCheckpoints.get(key);
+  if (previous) {
+    console.log(`↩️ Resuming the crawl of ${new Date(previous.last_run_at).toLocaleString()}: ${Object.keys(previous.users).length} users and ${previous.repos_done.length} repositor${previous.repos_done.length === 1 ? 'y' : 'ies'} so far`);
+  }
+  console.log(`🕸️ Crawl depth ${options.depth}, up to ${options.maxReposPerUser} repos per user, at least ${options.minContributions} contribution${options.minContributions === 1 ? '' : 's'}${options.since ? ` since ${options.since}` : ''}${options.excludeBots ? ', bots excluded' : ''}`);
+
+  const checkpoint = crawlCheckpoints.start(key, { repo, options });
+  let result;
+  try {
+    result = await crawlContributors(github, repo, options, {
+      checkpoint,
+      onProgress: () => {
+        crawlCheckpoints.touch(key);
+        crawlCheckpoints.save();
       }
+    });
+  } catch (error) {
+    console.error('❌ Crawl failed:', error.message);
+    console.log('   Progress so far is saved; run the same command again to resume.');
+    process.exitCode = 1;
+    return [];
+  }
+
+  console.log(`✅ Found ${result.users.length} unique users in ${result.repos} repositor${result.repos === 1 ? 'y' : 'ies'}`);
+  if (result.users.length > 0) {
+    console.log('\n🧭 How each user was reached:');
+    for (const username of result.users) {
+      console.log(`   • @${username}: ${describeReach(result.reached[username])}`);
     }
+  }
+
+  // A finished crawl starts over next time, to pick up new contributors
+  crawlCheckpoints.remove(key);
+  crawlCheckpoints.save();
+  return result.users;
+}
+
+// Activity options: the config's "activity" with --min-interactions and --include-bots applied
+function getActivityOptions() {
+  const options = { ...settings.activity };
+  if (cli.flags['min-interactions'] !== undefined) {
+    options.minInteractions = Number(cli.flags['min-interactions']);
+  }
+  if (cli.flags['include-bots']) {
+    options.excludeBots = false;
+  }
+
+  const problems = validateActivityOptions(options);
+  if (problems.length > 0) {
+    throw new Error(`Invalid activity options: ${problems.join('; ')}`);
+  }
+  return options;
+}
 
-    // Combine all unique users
-    const allUsers = new Set([...allContributors, ...additionalUsers]);
-    console.log(`✅ Found ${allUsers.size} total unique users`);
-    return Array.from(allUsers);
+// "owner/name" for a repository URL, or "owner" for an organization or user
+function parseActivityTarget(target) {
+  const [owner, name] = target.replace(/^https:\/\/github\.com\//, '').replace(/\/+$/, '').split('/');
+  return name ? `${owner}/${name.replace(/\.git$/, '')}` : owner;
+}
+
+// Users who opened issues or pull requests, reviewed, commented or posted in
+// discussions on a repository (or every repository of an organization)
+// within the --since/--until window. Prints what each user did.
+async function getRepoActivity(target, options = ACTIVITY_OPTIONS, window = ACTIVITY_WINDOW) {
+  console.log(`🗣️ Collecting activity on ${target} from ${window.since} to ${window.until}, at least ${options.minInteractions} interaction${options.minInteractions === 1 ? '' : 's'}${options.excludeBots ? ', bots excluded' : ''}`);
+
+  let result;
+  try {
+    result = await collectRepoActivity(github, target, window, options);
   } catch (error) {
-    console.error('❌ Error:', error.message);
+    console.error('❌ Failed to collect activity:', error.message);
+    process.exitCode = 1;
     return [];
   }
+
+  const below = Object.keys(result.interactions).length - result.users.length;
+  console.log(`✅ Found ${result.users.length} active users in ${result.repos} repositor${result.repos === 1 ? 'y' : 'ies'}${below > 0 ? ` (${below} more below ${options.minInteractions} interaction${options.minInteractions === 1 ? '' : 's'})` : ''}`);
+  if (result.users.length > 0) {
+    console.log('\n🧭 Activity of each user, most active first:');
+    for (const username of result.users) {
+      console.log(`   • @${username}: ${describeInteractions(result.interactions[username])}`);
+    }
+  }
+  return result.users;
 }
 
 async function scanReadmeForUsers(repoUrl) {
@@ -832,14 +1632,11 @@ async function scanReadmeForUsers(repoUrl) {
     let content = '';
     for (const filename of readmeFiles) {
       try {
-        const res = await fetch(`https://api.github.com/repos/${owner}/${repo}/contents/${filename}`, { headers });
-        if (res.ok) {
-          const data = await res.json();
-          // Content is base64 encoded
-          content = Buffer.from(data.content, 'base64').toString('utf8');
-          console.log(`✅ Found ${filename}`);
-          break;
-        }
+        const data = await github.get(`/repos/${owner}/${repo}/contents/${filename}`);
+        // Content is base64 encoded
+        content = Buffer.from(data.content, 'base64').toString('utf8');
+        console.log(`✅ Found ${filename}`);
+        break;
       } catch (error) {
         continue;
       }
@@ -894,16 +1691,212 @@ async function scanReadmeForUsers(repoUrl) {
     return usersArray;
   } catch (error) {
     console.error('❌ Error:', error.message);
+    process.exitCode = 1;
     return [];
   }
 }
 
+// Fetch every page of a paginated REST endpoint, adding context to failures
+async function fetchAllPages(url, errorMessage) {
+  try {
+    return await github.paginate(url);
+  } catch (error) {
+    throw new Error(`${errorMessage}: ${error.message}`);
+  }
+}
+
+// Copy the ledger's per-status counts into invitation_stats.json
+function updateStatusStats() {
+  const counts = inviteLedger.statusCounts();
+  invitationStats.pendingInvites = counts.pending;
+  invitationStats.acceptedInvites = counts.accepted;
+  invitationStats.expiredInvites = counts.expired;
+  invitationStats.failedInvites = counts.failed;
+  invitationStats.cancelledInvites = counts.cancelled;
+  invitationStats.lastReconciledAt = inviteLedger.data.last_reconciled || null;
+  updateStats();
+  return counts;
+}
+
+// GitHub expires organization invitations that are not accepted within 7 days
+const INVITATION_EXPIRY_MS = 7 * DAY_MS;
+
+// Compare the invite ledger with the org's real invitation and member lists
+// and record whether each invite is pending, accepted, expired, failed or cancelled
+async function reconcileInvitations(targetOrg) {
+  console.log(`\n🔄 Reconciling invitations for ${targetOrg}...`);
+
+  const [pending, failed, members] = await Promise.all([
+    fetchAllPages(`/orgs/${targetOrg}/invitations`, 'Failed to fetch pending invitations'),
+    fetchAllPages(`/orgs/${targetOrg}/failed_invitations`, 'Failed to fetch failed invitations'),
+    fetchAllPages(`/orgs/${targetOrg}/members`, 'Failed to fetch org members')
+  ]);
+  console.log(`   • ${pending.length} pending, ${failed.length} failed invitations, ${members.length} members on GitHub`);
+
+  const byLogin = list => new Map(list.filter(item => item.login).map(item => [item.login.toLowerCase(), item]));
+  const pendingByLogin = byLogin(pending);
+  const failedByLogin = byLogin(failed);
+  const memberLogins = new Set(members.map(member => member.login.toLowerCase()));
+
+  let checked = 0;
+  for (const [username, entry] of inviteLedger.entries()) {
+    // Entries from before the ledger recorded the org were all sent to the default org
+    if ((entry.org || ORG) !== targetOrg) continue;
+    checked++;
+
+    const login = username.toLowerCase();
+    if (memberLogins.has(login)) {
+      if (entry.status !== 'accepted') {
+        eventLog.record('accepted', { username, org: targetOrg, team: entry.team, source: 'reconcile' });
+      }
+      inviteLedger.setStatus(username, 'accepted');
+    } else if (pendingByLogin.has(login)) {
+      const invitation = pendingByLogin.get(login);
+      inviteLedger.setStatus(username, 'pending', {
+        invitation_id: invitation.id,
+        invitation_created_at: invitation.created_at
+      });
+    } else if (failedByLogin.has(login)) {
+      const invitation = failedByLogin.get(login);
+      const reason = invitation.failed_reason || '';
+      inviteLedger.setStatus(username, /expired/i.test(reason) ? 'expired' : 'failed', {
+        invitation_id: invitation.id,
+        failed_at: invitation.failed_at,
+        failed_reason: reason
+      });
+    } else if (entry.status !== 'accepted') {
+      // Neither pending, failed nor a member. An invite the bot cancelled after
+      // sending it stays cancelled; one that outlived GitHub's expiry most likely
+      // expired, anything younger was cancelled or declined
+      const cancelledByBot = Boolean(entry.cancelled_at) && entry.cancelled_at >= entry.invited_at;
+      const expired = entry.status === 'expired' || Date.now() - new Date(entry.invited_at).getTime() >= INVITATION_EXPIRY_MS;
+      inviteLedger.setStatus(username, expired && !cancelledByBot ? 'expired' : 'cancelled');
+    }
+  }
+
+  inviteLedger.data.last_reconciled = new Date().toISOString();
+  inviteLedger.save();
+
+  const counts = updateStatusStats();
+
+  // The report is read back from the saved ledger, which a dry run leaves as it was
+  if (DRY_RUN) {
+    console.log(`🧪 Dry run: ${basename(REPORT_FILE)} was not regenerated`);
+  } else {
+    await new InviteManager(settings.paths, { store }).generateReport(REPORT_FILE);
+  }
+
+  // Pending invites on GitHub that the bot never recorded (e.g. sent by hand)
+  const untracked = pending.filter(invitation => invitation.login && !inviteLedger.has(invitation.login));
+
+  console.log(`\n✅ Reconciled ${checked} ledger entries:`);
+  ['pending', 'accepted', 'expired', 'failed', 'cancelled'].forEach(status => {
+    console.log(`   • ${status}: ${counts[status]}`);
+  });
+  if (untracked.length > 0) {
+    console.log(`   • ${untracked.length} pending invitations on GitHub are not in the ledger`);
+  }
+  return true;
+}
+
+// Parse a numeric day-count flag such as --max-age
+function getDaysFlag(name, defaultValue) {
+  if (cli.flags[name] === undefined) return defaultValue;
+  const days = Number(cli.flags[name]);
+  if (!Number.isFinite(days) || days < 0) {
+    throw new Error(`--${name} must be a number of days`);
+  }
+  return days;
+}
+
+// Cancel pending invitations older than --max-age days so they stop counting
+// against the org's limit on outstanding invitations
+async function cancelStaleInvitations(targetOrg) {
+  const maxAgeDays = getDaysFlag('max-age', DEFAULT_STALE_INVITE_DAYS);
+  const reinviteAfterDays = getDaysFlag('reinvite-after', null);
+  console.log(`\n🔍 Looking for invitations to ${targetOrg} older than ${maxAgeDays} days...`);
+  const pending = await fetchAllPages(`/orgs/${targetOrg}/invitations`, 'Failed to fetch pending invitations');
+  const cutoff = Date.now() - maxAgeDays * 24 * 60 * 60 * 1000;
+  const stale = pending.filter(invitation => new Date(invitation.created_at).getTime() < cutoff);
+
+  if (stale.length === 0) {
+    console.log(`✨ No stale invitations (${pending.length} pending in total)`);
+    return false;
+  }
+
+  console.log(`\n🗑️ Found ${stale.length} of ${pending.length} pending invitations older than ${maxAgeDays} days:`);
+  for (const invitation of stale) {
+    console.log(`   • ${invitation.login ? `@${invitation.login}` : invitation.email} (invited ${invitation.created_at.split('T')[0]})`);
+  }
+  console.log(reinviteAfterDays === null
+    ? '\nCancelled users will be flagged as "do not re-invite".'
+    : `\nCancelled users can be invited again after ${reinviteAfterDays} days.`);
+
+  if (DRY_RUN) {
+    console.log('\n🧪 Dry run: no invitations were cancelled.');
+    return false;
+  }
+
+  const confirm = await askYesNo(`\nDo you want to cancel these ${stale.length} invitations? (yes/no): `, cli.flags.yes);
+  if (!confirm) {
+    console.log(`❌ Cancellation aborted.${INTERACTIVE ? '' : ' Pass --yes to cancel invitations.'}`);
+    return false;
+  }
+
+  let cancelled = 0;
+  for (const invitation of stale) {
+    const label = invitation.login ? `@${invitation.login}` : invitation.email;
+    try {
+      const { status } = await github.request('DELETE', `/orgs/${targetOrg}/invitations/${invitation.id}`);
+      eventLog.record('cancelled', {
+        username: invitation.login || null,
+        org: targetOrg,
+        source: 'cancel-stale',
+        httpStatus: status,
+        details: { invitation_id: invitation.id, invited_at: invitation.created_at, email: invitation.login ? null : invitation.email }
+      });
+
+      if (invitation.login) {
+        inviteLedger.recordCancellation(invitation.login, {
+          org: targetOrg,
+          invitationId: invitation.id,
+          invitedAt: invitation.created_at,
+          reinviteAfterDays
+        });
+      }
+      cancelled++;
+      console.log(`✅ Cancelled invitation for ${label}`);
+    } catch (error) {
+      console.error(`❌ Failed to cancel invitation for ${label}:`, error.message);
+    }
+    await new Promise(resolve => setTimeout(resolve, 1000));
+  }
+
+  updateStatusStats();
+  console.log(`\n✨ Cancelled ${cancelled} of ${stale.length} stale invitations`);
+  return cancelled > 0;
+}
+
+// Stop a batch once invites keep failing instead of exiting the whole process
+function tooManyFailedInvites() {
+  if (failedInvitesCount >= MAX_FAILED_INVITES) {
+    console.log('❌ Too many failed attempts. Stopping invitations.');
+    return true;
+  }
+  return false;
+}
+
 // Add this function before handleSponsorInvitations
-async function inviteUser(username, sourceUsername, targetOrg, forceInvite = false, teamId = null) {
+// `teams` are the slugs of `teamIds`, for the logs
+async function inviteUser(username, sourceUsername, targetOrg, forceInvite = false, teamIds = [], teams = TEAMS) {
   // Check if we can send more invites (unless force invite is enabled)
-  if (!forceInvite && !canSendMoreInvites()) {
-    console.log(`\n⚠️ Daily invitation limit reached. Skipping @${username}`);
-    return false;
+  if (!forceInvite) {
+    const quota = getInviteQuota();
+    if (quota.remaining === 0) {
+      console.log(`\n⚠️ ${describeQuotaLimit(quota)}. Skipping @${username}`);
+      recordSkip(username, `${quota.limitedBy} invitation limit reached`, { source: sourceUsername });
+      return false;
+    }
   }
 
   try {
@@ -911,61 +1904,61 @@ async function inviteUser(username, sourceUsername, targetOrg, forceInvite = fal
     const userId = await getUserId(username);
     if (!userId) {
       console.log(`\n❌ Could not find user @${username}`);
+      recordSkip(username, 'account does not exist', { source: sourceUsername });
       return false;
     }
 
     // Send the invitation
-    console.log(`\n📨 Inviting @${username} to ${targetOrg}${teamId ? ' Support Team' : ''}...`);
+    console.log(`\n📨 Inviting @${username} to ${targetOrg}${teamIds.length ? ` (${describeTeams(teams)})` : ''}...`);
     const inviteData = {
       invitee_id: userId,
-      role: 'direct_member'
+      role: INVITE_ROLE
     };
 
-    // If teamId is provided, add team membership
-    if (teamId) {
-      inviteData.team_ids = [teamId];
+    // If team IDs are provided, add team membership
+    if (teamIds.length) {
+      inviteData.team_ids = teamIds;
     }
 
-    const res = await fetch(`https://api.github.com/orgs/${targetOrg}/invitations`, {
-      method: 'POST',
-      headers,
-      body: JSON.stringify(inviteData)
-    });
+    let httpStatus = null;
+    if (DRY_RUN) {
+      plan.addInvite(username, { source: sourceUsername, org: targetOrg, teams: teamIds.length ? teams : [], teamIds });
+    } else {
+      try {
+        ({ status: httpStatus } = await github.request('POST', `/orgs/${targetOrg}/invitations`, { body: inviteData }));
+      } catch (error) {
+        recordFailedInvite(username, sourceUsername, targetOrg, error, teamIds, teams);
 
-    if (!res.ok) {
-      const error = await res.json();
-      
-      if (error.message.includes('rate limit')) {
-        console.log('⚠️ Rate limit reached. Please try again later.');
+        if (/already (invited|a part of)/i.test(JSON.stringify(error.body || error.message))) {
+          console.log('⚠️ User was already invited');
+          return false;
+        }
+
+        // Every other failure counts towards maxFailedInvites, so a batch that
+        // keeps failing stops instead of running through every candidate
         failedInvitesCount++;
-        if (failedInvitesCount >= MAX_FAILED_INVITES) {
-          console.log('❌ Too many failed attempts. Stopping invitations.');
-          process.exit(1);
+
+        // The client has already waited out rate limits; still failing means we should stop soon
+        if (/rate limit/i.test(error.message)) {
+          console.log('⚠️ Rate limit reached. Please try again later.');
+          return false;
         }
+
+        console.error('❌ Failed to send invitation:', error.message);
         return false;
       }
-      
-      if (error.message.includes('already invited')) {
-        console.log('⚠️ User was already invited');
-        return false;
-      }
-      
-      console.error('❌ Failed to send invitation:', error.message);
-      return false;
     }
 
+    // Log the invitation
+    appendToLog(sourceUsername, username, targetOrg, teamIds.length ? teams.join(',') : null, httpStatus);
+
     // Update stats
-    invitationStats.totalInvites++;
-    invitationStats.last24Hours++;
+    invitationStats.totalInvites = inviteLedger.inviteCount();
     invitationStats.lastInviteTime = Date.now();
     invitationStats.pendingInvites++;
     updateStats();
 
-    // Log the invitation
-    const timestamp = new Date().toISOString();
-    appendFileSync(LOG_FILE, `${timestamp} - ${sourceUsername} - ${username}\n`);
-
-    console.log('✅ Invitation sent successfully');
+    console.log(DRY_RUN ? '🧪 Invitation planned (dry run)' : '✅ Invitation sent successfully');
     return true;
   } catch (error) {
     console.error('❌ Error:', error.message);
@@ -982,13 +1975,13 @@ async function commitLogFiles() {
     console.log('\n📤 Committing log files to repository...');
     
     // First verify all files exist and have content
-    const filesToCommit = [
-      LOG_FILE,
-      'invited_users.json',
-      'invitation_stats.json',
-      `${LOG_FILE}.backup`,
-      'search_progress.json'
-    ];
+    const filesToCommit = getDataFiles();
+
+    if (DRY_RUN) {
+      plan.addCommit(filesToCommit.filter(file => existsSync(file)), message);
+      console.log('🧪 Dry run: nothing was committed or pushed.');
+      return;
+    }
 
     // Check each file before staging
     for (const file of filesToCommit) {
@@ -1039,64 +2032,104 @@ async function handleSponsorInvitations(followers, sourceUsername, targetOrg) {
     return false;
   }
 
+  runRecord.addCandidates(sourceUsername, followers.length);
+
   // Get current members
   const members = await getOrgMembers(targetOrg);
-  const previouslyInvited = new Set(
-    readFileSync(LOG_FILE, 'utf8')
-      .split('\n')
-      .filter(line => line.trim())
-      .map(line => line.split(' - ')[2])
-  );
 
-  const newFollowers = followers.filter(user => 
-    !members.includes(user) && !previouslyInvited.has(user)
-  );
+  const candidates = [];
+  const blockedUsers = [];
+  for (const user of followers) {
+    if (members.includes(user)) {
+      recordSkip(user, 'already a member', { source: sourceUsername });
+      continue;
+    }
+    if (isUserAlreadyInvited(user)) {
+      recordSkip(user, 'already invited', { source: sourceUsername, details: `invited ${inviteLedger.get(user).invited_at}` });
+      continue;
+    }
+    const blockEntry = blocklist.get(user);
+    if (blockEntry) {
+      blockedUsers.push({ username: user, reason: blocklist.describe(blockEntry) });
+      recordSkip(user, 'blocklisted', { source: sourceUsername, details: blocklist.describe(blockEntry) });
+    } else {
+      candidates.push(user);
+    }
+  }
 
-  if (newFollowers.length === 0) {
+  if (blockedUsers.length > 0) {
+    console.log(`\n⛔ Skipping ${blockedUsers.length} blocked or opted-out user${blockedUsers.length === 1 ? '' : 's'}:`);
+    for (const { username, reason } of blockedUsers) {
+      console.log(`   • @${username}: ${reason}`);
+    }
+  }
+
+  if (candidates.length === 0) {
     console.log('✨ No new users to invite!');
     return false;
   }
 
-  console.log(`\n🎯 Found ${newFollowers.length} new user${newFollowers.length === 1 ? '' : 's'} to invite to the Support Team:`);
+  const { qualified: newFollowers, rejected } = await qualifyCandidates(candidates);
+
+  if (rejected.length > 0) {
+    console.log(`\n🚫 ${rejected.length} user${rejected.length === 1 ? '' : 's'} did not meet the qualification rules:`);
+    for (const { username, reasons } of rejected) {
+      console.log(`   • @${username}: ${reasons.join('; ')}`);
+      recordSkip(username, 'did not meet qualification rules', { source: sourceUsername, details: reasons.join('; ') });
+    }
+  }
+
+  if (newFollowers.length === 0) {
+    console.log('✨ No qualified users to invite!');
+    return false;
+  }
+
+  if (cli.flags.queue) {
+    return queueCandidates(newFollowers, sourceUsername);
+  }
+
+  console.log(`\n🎯 Found ${newFollowers.length} new user${newFollowers.length === 1 ? '' : 's'} to invite to the ${TEAMS_LABEL}:`);
   for (const user of newFollowers) {
     console.log(`   • @${user}`);
   }
 
-  const confirm = await new Promise(resolve => {
-    rl.question(`\nDo you want to proceed with sending invites to ${targetOrg} Support Team? (yes/no): `, resolve);
-  });
+  // Nothing is sent in a dry run, so there is nothing to confirm
+  const confirm = DRY_RUN || await askYesNo(`\nDo you want to proceed with sending invites to ${targetOrg} ${TEAMS_LABEL}? (yes/no): `, cli.flags.yes);
 
-  if (confirm.toLowerCase() !== 'yes') {
-    console.log('❌ Invitation process cancelled.');
+  if (!confirm) {
+    console.log(`❌ Invitation process cancelled.${INTERACTIVE ? '' : ' Pass --yes to send invites.'}`);
     return false;
   }
 
-  const forceInvite = await new Promise(resolve => {
-    rl.question('Do you want to force send invites (bypass 50 limit)? (yes/no): ', resolve);
-  });
+  const forceInvite = await askYesNo(`Do you want to force send invites (bypass ${DAILY_INVITE_LIMIT} limit)? (yes/no): `, cli.flags.force);
 
-  // Get team ID first
-  console.log('\n🔍 Fetching Support Team information...');
-  const teamId = await getTeamId(targetOrg, DEFAULT_TEAM);
-  if (!teamId) {
-    console.error('❌ Could not find Support Team. Please check the team URL and try again.');
+  // Get team IDs first
+  const teamIds = await getTeamIds(targetOrg);
+  if (!teamIds) {
+    newFollowers.forEach(user => recordSkip(user, 'team not found', { source: sourceUsername, details: `${targetOrg}: ${TEAMS.join(', ')}` }));
     return false;
   }
 
   let successfulInvites = 0;
   for (const user of newFollowers) {
-    if (await inviteUser(user, sourceUsername, targetOrg, forceInvite.toLowerCase() === 'yes', teamId)) {
+    if (tooManyFailedInvites()) break;
+    if (await inviteUser(user, sourceUsername, targetOrg, forceInvite, teamIds)) {
       successfulInvites++;
-      await new Promise(resolve => setTimeout(resolve, DELAY_BETWEEN_INVITES));
+      if (!DRY_RUN) {
+        await new Promise(resolve => setTimeout(resolve, DELAY_BETWEEN_INVITES));
+      }
     }
   }
 
   console.log('\n✨ All done!');
   console.log(`📊 Stats for this session:`);
-  console.log(`   • Successfully invited: ${successfulInvites} users to Support Team`);
+  console.log(`   • ${DRY_RUN ? 'Would invite' : 'Successfully invited'}: ${successfulInvites} users to the ${TEAMS_LABEL}`);
   console.log(`   • Total invites sent: ${invitationStats.totalInvites}`);
-  console.log(`   • Invites in last 24h: ${invitationStats.last24Hours}`);
+  printInviteQuota();
   console.log(`   • Pending invites: ${invitationStats.pendingInvites}`);
+  if (AUDIT_RUN) {
+    console.log(`   • Run ID: ${RUN_ID} (see \`runs show ${RUN_ID}\`)`);
+  }
 
   // Add commit operation if there were successful invites
   if (successfulInvites > 0) {
@@ -1107,6 +2140,9 @@ async function handleSponsorInvitations(followers, sourceUsername, targetOrg) {
 }
 
 function loadFollowedUsers() {
+  if (store) {
+    return new Set(Object.values(store.all('followed_users')).map(entry => entry.login));
+  }
   if (!existsSync(FOLLOWED_USERS_FILE)) {
     writeFileSync(FOLLOWED_USERS_FILE, JSON.stringify([]));
     return new Set();
@@ -1119,7 +2155,13 @@ function loadFollowedUsers() {
   }
 }
 
-function saveFollowedUsers(followedUsers) {
+// `added` are the users followed since the last save; only the store needs them
+function saveFollowedUsers(followedUsers, added = Array.from(followedUsers)) {
+  if (DRY_RUN) return;
+  if (store) {
+    store.putMany('followed_users', added.map(login => [login, { login }]));
+    return;
+  }
   writeFileSync(FOLLOWED_USERS_FILE, JSON.stringify(Array.from(followedUsers)));
 }
 
@@ -1132,27 +2174,14 @@ async function followAllOrgMembers() {
   
   // Get current members
   const currentMembers = new Set();
-  let page = 1;
-  let hasMore = true;
-
-  while (hasMore) {
-    const res = await fetch(`https://api.github.com/orgs/${ORG}/members?per_page=100&page=${page}`, { headers });
-    
-    if (!res.ok) {
-      console.error('❌ Failed to fetch members:', await res.json());
-      return;
-    }
 
-    const members = await res.json();
-    members.forEach(member => currentMembers.add(member.login));
-    
-    // Check if there are more pages
-    const linkHeader = res.headers.get('link');
-    if (!linkHeader || !linkHeader.includes('rel="next"')) {
-      hasMore = false;
-    } else {
-      page++;
+  try {
+    for await (const members of github.pages(`/orgs/${ORG}/members`)) {
+      members.forEach(member => currentMembers.add(member.login));
     }
+  } catch (error) {
+    console.error('❌ Failed to fetch members:', error.message);
+    return;
   }
 
   console.log(`\n👥 Found ${currentMembers.size} organization members`);
@@ -1172,13 +2201,15 @@ async function followAllOrgMembers() {
       successCount++;
       followedUsers.add(member);
       // Save after each successful follow to prevent duplicates if script is interrupted
-      saveFollowedUsers(followedUsers);
+      saveFollowedUsers(followedUsers, [member]);
     }
     // Add delay to avoid rate limiting
-    await new Promise(resolve => setTimeout(resolve, 1000));
+    if (!DRY_RUN) {
+      await new Promise(resolve => setTimeout(resolve, 1000));
+    }
   }
 
-  console.log(`\n✨ Successfully followed ${successCount} new members`);
+  console.log(`\n✨ ${DRY_RUN ? 'Would follow' : 'Successfully followed'} ${successCount} new members`);
   
   // Update the members list
   updateMembersList(currentMembers);
@@ -1188,7 +2219,7 @@ async function followAllOrgMembers() {
 async function saveUsersToFile(users, sourceType, keyword) {
   // Create users_data directory if it doesn't exist
   if (!existsSync(USERS_DATA_DIR)) {
-    mkdirSync(USERS_DATA_DIR);
+    mkdirSync(USERS_DATA_DIR, { recursive: true });
   }
 
   // Generate filename based on source and date
@@ -1202,11 +2233,9 @@ async function saveUsersToFile(users, sourceType, keyword) {
     try {
       existingData = JSON.parse(readFileSync(filepath, 'utf8'));
       console.log(`\n📋 Found existing file with ${existingData.users.length} processed users`);
-      const resume = await new Promise(resolve => {
-        rl.question('Do you want to resume from where it left off? (yes/no): ', resolve);
-      });
+      const resume = await askYesNo('Do you want to resume from where it left off? (yes/no): ', cli.flags.resume);
       
-      if (resume.toLowerCase() !== 'yes') {
+      if (!resume) {
         existingData = { users: [] };
       }
     } catch (error) {
@@ -1231,8 +2260,6 @@ async function saveUsersToFile(users, sourceType, keyword) {
   console.log('\n📥 Fetching detailed information for remaining users...');
   const batchSize = 100;
   let processedCount = existingData.users.length;
-  let retryCount = 0;
-  const maxRetries = 3;
 
   for (let i = 0; i < remainingUsers.length; i += batchSize) {
     const batch = remainingUsers.slice(i, i + batchSize);
@@ -1244,41 +2271,23 @@ async function saveUsersToFile(users, sourceType, keyword) {
         process.stdout.write(`\r🔍 Processing user ${processedCount}/${users.length}: @${username}`);
         
         const userData = await makeApiCall(
-          `https://api.github.com/users/${username}`,
+          `/users/${username}`,
           `Failed to fetch data for ${username}`
         );
         
-        batchData.push({
-          username: userData.login,
-          name: userData.name,
-          bio: userData.bio,
-          location: userData.location,
-          company: userData.company,
-          blog: userData.blog,
-          public_repos: userData.public_repos,
-          followers: userData.followers,
-          following: userData.following,
-          created_at: userData.created_at
-        });
-        
-        // Save progress after each batch
-        const currentData = JSON.parse(readFileSync(filepath, 'utf8'));
-        currentData.users = currentData.users.concat(batchData);
-        writeFileSync(filepath, JSON.stringify(currentData, null, 2));
+        batchData.push(toCandidateProfile(userData));
         
-        retryCount = 0;
         await new Promise(resolve => setTimeout(resolve, 1000));
       } catch (error) {
-        if (error.message.includes('rate limit') && retryCount < maxRetries) {
-          console.log('\n⚠️ Rate limit hit. Waiting 60 seconds...');
-          await new Promise(resolve => setTimeout(resolve, 60000));
-          i--; // Retry this user
-          retryCount++;
-          continue;
-        }
+        // Rate limits are already retried by the client, so this user is skipped
         console.error(`\n❌ Error fetching data for ${username}:`, error.message);
       }
     }
+
+    // Save progress after each batch
+    fileHeader.users = fileHeader.users.concat(batchData);
+    writeFileSync(filepath, JSON.stringify(fileHeader, null, 2));
+    saveProfileSnapshots(batchData, sourceType);
   }
 
   process.stdout.write('\r' + ' '.repeat(100) + '\r');
@@ -1300,16 +2309,26 @@ async function inviteUsersFromReadme() {
     }
 
     console.log(`\n🎯 Found ${uniqueUsers.length} unique users in README.md`);
+    runRecord.addCandidates('readme', uniqueUsers.length);
     
-    // Get current members and previously invited users
+    // Get current members
     const members = await getOrgMembers(ORG);
-    const previouslyInvited = getPreviouslyInvitedUsers();
     
     // Filter out existing members and previously invited users
-    const newUsers = uniqueUsers.filter(user => 
-      !members.includes(user) && !previouslyInvited.has(user)
-    );
-    
+    const unseenUsers = uniqueUsers.filter(user => !members.includes(user) && !isUserAlreadyInvited(user));
+
+    // Skip blocked and opted-out users, with their reason
+    const blockedUsers = unseenUsers.filter(user => blocklist.isBlocked(user));
+    if (blockedUsers.length > 0) {
+      console.log(`\n⛔ Skipping ${blockedUsers.length} blocked or opted-out user${blockedUsers.length === 1 ? '' : 's'}:`);
+      for (const user of blockedUsers) {
+        const reason = blocklist.describe(blocklist.get(user));
+        console.log(`   • @${user}: ${reason}`);
+        recordSkip(user, 'blocklisted', { source: 'readme', details: reason });
+      }
+    }
+    const newUsers = unseenUsers.filter(user => !blocklist.isBlocked(user));
+
     if (newUsers.length === 0) {
       console.log('✨ All users are already members or have pending invitations!');
       return;
@@ -1320,18 +2339,15 @@ async function inviteUsersFromReadme() {
       console.log(`   • @${user}`);
     }
 
-    const confirm = await new Promise(resolve => {
-      rl.question('\nDo you want to proceed with sending invites? (yes/no): ', resolve);
-    });
+    const confirm = await askYesNo('\nDo you want to proceed with sending invites? (yes/no): ', cli.flags.yes);
 
-    if (confirm.toLowerCase() === 'yes') {
-      const forceInvite = await new Promise(resolve => {
-        rl.question('Do you want to force send invites (bypass 50 limit)? (yes/no): ', resolve);
-      });
+    if (confirm) {
+      const forceInvite = await askYesNo(`Do you want to force send invites (bypass ${DAILY_INVITE_LIMIT} limit)? (yes/no): `, cli.flags.force);
 
       let successfulInvites = 0;
       for (const user of newUsers) {
-        if (await inviteUser(user, 'readme', ORG, forceInvite.toLowerCase() === 'yes')) {
+        if (tooManyFailedInvites()) break;
+        if (await inviteUser(user, 'readme', ORG, forceInvite)) {
           successfulInvites++;
           await new Promise(resolve => setTimeout(resolve, DELAY_BETWEEN_INVITES));
         }
@@ -1341,7 +2357,7 @@ async function inviteUsersFromReadme() {
       console.log(`📊 Stats for this session:`);
       console.log(`   • Successfully invited: ${successfulInvites} users`);
       console.log(`   • Total invites sent: ${invitationStats.totalInvites}`);
-      console.log(`   • Invites in last 24h: ${invitationStats.last24Hours}`);
+      printInviteQuota();
       console.log(`   • Pending invites: ${invitationStats.pendingInvites}`);
     }
   } catch (error) {
@@ -1349,6 +2365,18 @@ async function inviteUsersFromReadme() {
   }
 }
 
+// Look up the GitHub account that has this email set as public
+async function findUserByEmail(email) {
+  try {
+    const query = encodeURIComponent(`${email} in:email type:user`);
+    const data = await github.get(`/search/users?q=${query}`);
+    return data.items.length > 0 ? data.items[0].login : null;
+  } catch (error) {
+    console.error('❌ Email lookup failed:', error.message);
+    return null;
+  }
+}
+
 // Add this function before handleSponsorInvitations
 function extractGitHubUsername(url) {
   try {
@@ -1428,35 +2456,12 @@ async function getSponsors(username) {
 
   while (hasNextPage) {
     try {
-      const res = await fetch('https://api.github.com/graphql', {
-        method: 'POST',
-        headers: {
-          'Authorization': `bearer ${GITHUB_TOKEN}`,
-          'Content-Type': 'application/json',
-        },
-        body: JSON.stringify({
-          query,
-          variables: {
-            login: username,
-            after: endCursor
-          }
-        })
+      const data = await github.graphql(query, {
+        login: username,
+        after: endCursor
       });
 
-      if (!res.ok) {
-        const error = await res.json();
-        console.error('❌ Failed to fetch sponsors:', error.message);
-        break;
-      }
-
-      const data = await res.json();
-      
-      if (data.errors) {
-        console.error('❌ GraphQL Error:', data.errors[0].message);
-        break;
-      }
-
-      const repoOwner = data.data?.repositoryOwner;
+      const repoOwner = data?.repositoryOwner;
       if (!repoOwner) {
         console.log('❌ Account not found');
         break;
@@ -1488,7 +2493,7 @@ async function getSponsors(username) {
       // Add delay to avoid rate limiting
       await new Promise(resolve => setTimeout(resolve, 1000));
     } catch (error) {
-      console.error('❌ Error:', error.message);
+      console.error('❌ Failed to fetch sponsors:', error.message);
       break;
     }
   }
@@ -1517,19 +2522,7 @@ async function getSponsoring(username) {
 
   while (hasMore) {
     try {
-      const res = await fetch(`https://api.github.com/users/${username}/sponsoring?per_page=100&page=${page}`, { headers });
-      
-      if (!res.ok) {
-        if (res.status === 404) {
-          console.log('❌ Sponsoring data not found. Make sure the account exists.');
-          break;
-        }
-        const error = await res.json();
-        console.error('❌ Failed to fetch sponsoring:', error.message);
-        break;
-      }
-
-      const sponsoring = await res.json();
+      const sponsoring = await github.get(`/users/${username}/sponsoring?per_page=100&page=${page}`);
       if (sponsoring.length === 0) {
         hasMore = false;
       } else {
@@ -1544,7 +2537,11 @@ async function getSponsoring(username) {
         await new Promise(resolve => setTimeout(resolve, 1000));
       }
     } catch (error) {
-      console.error('❌ Error:', error.message);
+      if (error.status === 404) {
+        console.log('❌ Sponsoring data not found. Make sure the account exists.');
+        break;
+      }
+      console.error('❌ Failed to fetch sponsoring:', error.message);
       break;
     }
   }
@@ -1555,22 +2552,28 @@ async function getSponsoring(username) {
 }
 
 // Add this function after the imports
+// The files backed up and committed. With the sqlite backend the database
+// holds the event log, the invite ledger and the search progress.
+function getDataFiles() {
+  if (store) {
+    // Fold the write-ahead log in first so copies of the file are complete
+    store.checkpoint();
+    return [DATABASE_FILE, INVITATION_STATS_FILE];
+  }
+  return [EVENT_LOG_FILE, INVITED_USERS_FILE, INVITATION_STATS_FILE, SEARCH_PROGRESS_FILE];
+}
+
 function initializeLogFiles() {
   console.log('\n📋 Initializing log files...');
   
   // Create backup directory if it doesn't exist
-  const backupDir = 'log_backups';
+  const backupDir = BACKUP_DIR;
   if (!existsSync(backupDir)) {
     mkdirSync(backupDir, { recursive: true });
   }
 
   // Initialize or restore log files
-  const logFiles = [
-    LOG_FILE,
-    'invited_users.json',
-    'invitation_stats.json',
-    'search_progress.json'
-  ];
+  const logFiles = getDataFiles();
 
   for (const file of logFiles) {
     // If file doesn't exist, try to restore from backup
@@ -1618,18 +2621,13 @@ function initializeLogFiles() {
 // Add this function to create periodic backups
 function createPeriodicBackup() {
   const timestamp = new Date().toISOString().split('T')[0];
-  const backupDir = 'log_backups';
+  const backupDir = BACKUP_DIR;
   
   if (!existsSync(backupDir)) {
     mkdirSync(backupDir, { recursive: true });
   }
 
-  const logFiles = [
-    LOG_FILE,
-    'invited_users.json',
-    'invitation_stats.json',
-    'search_progress.json'
-  ];
+  const logFiles = getDataFiles();
 
   for (const file of logFiles) {
     if (existsSync(file)) {
@@ -1639,35 +2637,631 @@ function createPeriodicBackup() {
   }
 }
 
+function printStorageCounts(counts) {
+  Object.entries(counts).forEach(([collection, count]) => console.log(`   • ${collection}: ${count}`));
+}
+
+// `storage status|import|export`: the SQLite database and the JSON files it replaces
+function manageStorage(action) {
+  if (!['status', 'import', 'export'].includes(action)) {
+    console.error('❌ Usage: storage status|import|export');
+    process.exitCode = 1;
+    return false;
+  }
+  if (!store) {
+    console.error('❌ The storage commands need the sqlite backend: set "storage": "sqlite" in the config or STORAGE_BACKEND=sqlite');
+    process.exitCode = 1;
+    return false;
+  }
+
+  if (action === 'status') {
+    console.log(`\n🗄️ SQLite storage: ${DATABASE_FILE}`);
+    printStorageCounts(Object.fromEntries(STORE_COLLECTIONS.map(collection => [collection, store.count(collection)])));
+    console.log(`   • events: ${store.eventCount()}`);
+    return true;
+  }
+  if (DRY_RUN) {
+    console.log(`🧪 Dry run: nothing was ${action}ed.`);
+    return false;
+  }
+  if (action === 'import') {
+    console.log(`📦 Importing the JSON data files into ${basename(DATABASE_FILE)}...`);
+    printStorageCounts(importJsonFiles(store, settings.paths));
+  } else {
+    console.log(`📦 Exporting ${basename(DATABASE_FILE)} to the JSON data files...`);
+    printStorageCounts(exportJsonFiles(store, settings.paths));
+  }
+  return true;
+}
+
+// Parse --expires as a number of days from now or as a date
+function getExpiryFlag() {
+  const value = cli.flags.expires;
+  if (value === undefined) return null;
+  if (/^\d+(\.\d+)?$/.test(value)) {
+    return new Date(Date.now() + Number(value) * 24 * 60 * 60 * 1000);
+  }
+  const date = new Date(value);
+  if (Number.isNaN(date.getTime())) {
+    throw new Error('--expires must be a number of days or a date (YYYY-MM-DD)');
+  }
+  return date;
+}
+
+// `blocklist add|remove|list`: manage users who must never be invited
+function manageBlocklist(action, username) {
+  if (action === 'list') {
+    const entries = blocklist.list();
+    if (entries.length === 0) {
+      console.log('✨ The blocklist is empty.');
+      return true;
+    }
+    console.log(`\n⛔ Blocklist (${entries.length} entr${entries.length === 1 ? 'y' : 'ies'}):`);
+    for (const entry of entries) {
+      const added = entry.added_at.split('T')[0];
+      console.log(`   • @${entry.username}: ${blocklist.describe(entry)} (added ${added}${entry.expired ? ', expired' : ''})`);
+    }
+    return true;
+  }
+
+  if ((action !== 'add' && action !== 'remove') || !username) {
+    console.error(`❌ Usage: blocklist add <username> | blocklist remove <username> | blocklist list`);
+    process.exitCode = 1;
+    return false;
+  }
+
+  username = username.replace(/^@/, '');
+  if (action === 'remove') {
+    if (blocklist.remove(username)) {
+      console.log(`✅ Removed @${username} from the blocklist${DRY_RUN ? ' (dry run: not saved)' : ''}`);
+      return true;
+    }
+    console.log(`⚠️ @${username} is not on the blocklist`);
+    return false;
+  }
+
+  const entry = blocklist.add(username, {
+    kind: cli.flags['opt-out'] ? 'opt-out' : 'blocked',
+    reason: cli.flags.reason || null,
+    expiresAt: getExpiryFlag()
+  });
+  console.log(`✅ @${username} is now ${blocklist.describe(entry)}${DRY_RUN ? ' (dry run: not saved)' : ''}`);
+  return true;
+}
+
+// Queue qualified candidates for review instead of inviting them right away
+function queueCandidates(usernames, sourceUsername) {
+  let added = 0;
+  for (const username of usernames) {
+    const profile = candidateProfiles.get(username.toLowerCase()) || null;
+    if (candidateQueue.add(username, { source: sourceUsername, profile })) {
+      added++;
+    }
+  }
+  candidateQueue.save();
+
+  const counts = candidateQueue.statusCounts();
+  console.log(`\n📥 Queued ${added} new candidate${added === 1 ? '' : 's'} for review (${usernames.length - added} already in the queue)`);
+  console.log(`   Queue: ${counts.pending} pending, ${counts.approved} approved, ${counts.rejected} rejected, ${counts.invited} invited`);
+  console.log('   Review them with "queue review" or "queue approve", then send invites with "queue run".');
+  return added > 0;
+}
+
+// Queue filter built from --status, --source, --min-followers, --min-repos and --location
+function getQueueFilter(defaultStatus) {
+  const numberFlag = name => {
+    if (cli.flags[name] === undefined) return null;
+    const value = Number(cli.flags[name]);
+    if (!Number.isFinite(value) || value < 0) {
+      throw new Error(`--${name} must be a non-negative number`);
+    }
+    return value;
+  };
+
+  return {
+    status: cli.flags.status || defaultStatus,
+    source: cli.flags.source || null,
+    minFollowers: numberFlag('min-followers'),
+    minRepos: numberFlag('min-repos'),
+    location: cli.flags.location || null
+  };
+}
+
+function hasQueueFilter() {
+  return Boolean(cli.flags.all) || ['source', 'min-followers', 'min-repos', 'location'].some(flag => cli.flags[flag] !== undefined);
+}
+
+// One-line summary of a queued candidate's profile
+function describeCandidate(entry) {
+  const profile = entry.profile || {};
+  const details = [
+    profile.name,
+    profile.location && `📍 ${profile.location}`,
+    `${profile.followers ?? '?'} followers`,
+    `${profile.public_repos ?? '?'} repos`
+  ].filter(Boolean).join(' · ');
+  return `@${entry.username} [${entry.status}] ${details} (via ${entry.sources.join(', ')})${entry.note ? ` - ${entry.note}` : ''}`;
+}
+
+// `queue approve|reject`: decide named candidates, or every candidate matching a filter
+async function decideCandidates(status, usernames) {
+  const verb = status === 'approved' ? 'Approve' : 'Reject';
+  let entries;
+
+  if (usernames.length > 0) {
+    entries = [];
+    for (const username of usernames.map(name => name.replace(/^@/, ''))) {
+      const entry = candidateQueue.get(username);
+      if (entry) {
+        entries.push(entry);
+      } else {
+        console.log(`⚠️ @${username} is not in the queue`);
+      }
+    }
+  } else if (hasQueueFilter()) {
+    entries = candidateQueue.find(getQueueFilter('pending'));
+    if (entries.length === 0) {
+      console.log('✨ No queued candidates match the filter.');
+      return false;
+    }
+    console.log(`\n📋 ${entries.length === 1 ? '1 candidate matches' : `${entries.length} candidates match`} the filter:`);
+    entries.forEach(entry => console.log(`   • ${describeCandidate(entry)}`));
+
+    const confirm = await askYesNo(`\n${verb} these ${entries.length} candidates? (yes/no): `, cli.flags.yes);
+    if (!confirm) {
+      console.log(`❌ Nothing changed.${INTERACTIVE ? '' : ' Pass --yes to confirm.'}`);
+      return false;
+    }
+  } else {
+    console.error('❌ Name the candidates, or select them with --source, --min-followers, --min-repos, --location or --all.');
+    process.exitCode = 1;
+    return false;
+  }
+
+  for (const entry of entries) {
+    candidateQueue.setStatus(entry.username, status, cli.flags.reason || null);
+  }
+  candidateQueue.save();
+  console.log(`✅ ${status === 'approved' ? 'Approved' : 'Rejected'} ${entries.length} candidate${entries.length === 1 ? '' : 's'}`);
+  return entries.length > 0;
+}
+
+// `queue review`: walk through pending candidates and decide on each one
+async function reviewQueue() {
+  if (!process.stdin.isTTY) {
+    console.error('❌ "queue review" needs an interactive terminal. Use "queue approve" or "queue reject" instead.');
+    process.exitCode = 1;
+    return false;
+  }
+
+  const entries = candidateQueue.find(getQueueFilter('pending'));
+  if (entries.length === 0) {
+    console.log('✨ No candidates waiting for review.');
+    return false;
+  }
+
+  let decided = 0;
+  for (let i = 0; i < entries.length; i++) {
+    const entry = entries[i];
+    console.log(`\n[${i + 1}/${entries.length}] ${describeCandidate(entry)}`);
+    if (entry.profile?.bio) {
+      console.log(`   ${entry.profile.bio.replace(/\s+/g, ' ')}`);
+    }
+    console.log(`   https://github.com/${entry.username}`);
+
+    const answer = (await ask('(a)pprove, (r)eject, (s)kip or (q)uit? ')).trim().toLowerCase();
+    if (answer === 'q') break;
+    if (answer === 'a' || answer === 'r') {
+      candidateQueue.setStatus(entry.username, answer === 'a' ? 'approved' : 'rejected');
+      candidateQueue.save();
+      decided++;
+    }
+  }
+
+  const counts = candidateQueue.statusCounts();
+  console.log(`\n✅ Reviewed ${decided} candidate${decided === 1 ? '' : 's'}. Queue: ${counts.pending} pending, ${counts.approved} approved`);
+  return decided > 0;
+}
+
+// Team IDs of the teams queued candidates carry, looked up once per run
+const queuedTeamIds = new Map();
+async function getQueuedTeamIds(targetOrg, teams) {
+  const key = `${targetOrg}:${teams.join(',')}`;
+  if (!queuedTeamIds.has(key)) {
+    queuedTeamIds.set(key, await getTeamIds(targetOrg, teams));
+  }
+  return queuedTeamIds.get(key);
+}
+
+// Invite one queued candidate, re-checking first that they still need an invite.
+// Returns true if the invitation was sent.
+async function inviteQueuedCandidate(entry, targetOrg, teamIds, members, forceInvite = false) {
+  const { username } = entry;
+
+  // Things may have changed since the candidate was queued
+  const blockEntry = blocklist.get(username);
+  const skipReason = members.includes(username) ? 'already a member'
+    : isUserAlreadyInvited(username) ? 'already invited'
+    : blockEntry ? blocklist.describe(blockEntry)
+    : null;
+  if (skipReason) {
+    console.log(`⏭️ Skipping @${username}: ${skipReason}`);
+    recordSkip(username, skipReason, { source: entry.sources[0] });
+    candidateQueue.setStatus(username, 'skipped', skipReason);
+    candidateQueue.save();
+    return false;
+  }
+
+  // Candidates queued by a campaign with its own team are invited into that team
+  const teams = entry.teams || TEAMS;
+  const entryTeamIds = entry.teams ? await getQueuedTeamIds(targetOrg, entry.teams) : teamIds;
+  if (!entryTeamIds) {
+    recordSkip(username, 'team not found', { source: entry.sources[0], details: `${targetOrg}: ${teams.join(', ')}` });
+    return false;
+  }
+
+  if (!await inviteUser(username, entry.sources[0], targetOrg, forceInvite, entryTeamIds, teams)) {
+    return false;
+  }
+  candidateQueue.setStatus(username, 'invited');
+  candidateQueue.save();
+  return true;
+}
+
+// `queue run`: invite approved candidates until the daily limit is reached
+async function runApprovedInvites(targetOrg) {
+  const approved = candidateQueue.find({ ...getQueueFilter('approved'), status: 'approved' });
+  if (approved.length === 0) {
+    console.log('✨ No approved candidates to invite.');
+    return false;
+  }
+  console.log(`\n🎯 ${approved.length} approved candidate${approved.length === 1 ? '' : 's'} to invite to the ${TEAMS_LABEL}`);
+  runRecord.addCandidates('queue', approved.length);
+
+  const teamIds = await getTeamIds(targetOrg);
+  if (!teamIds) return false;
+  const members = await getOrgMembers(targetOrg);
+
+  let successfulInvites = 0;
+  for (const entry of approved) {
+    if (tooManyFailedInvites()) break;
+    if (!cli.flags.force && !canSendMoreInvites()) {
+      const remaining = approved.length - approved.indexOf(entry);
+      console.log(`\n⚠️ ${describeQuotaLimit()}. ${remaining} approved candidate${remaining === 1 ? '' : 's'} left for the next run.`);
+      break;
+    }
+
+    if (await inviteQueuedCandidate(entry, targetOrg, teamIds, members, cli.flags.force)) {
+      successfulInvites++;
+      if (!DRY_RUN) {
+        await new Promise(resolve => setTimeout(resolve, DELAY_BETWEEN_INVITES));
+      }
+    }
+  }
+
+  console.log(`\n✨ ${DRY_RUN ? 'Would invite' : 'Invited'} ${successfulInvites} approved candidate${successfulInvites === 1 ? '' : 's'}`);
+  if (successfulInvites > 0) {
+    await commitLogFiles();
+  }
+  return successfulInvites > 0;
+}
+
+// Where today's sending window stands, counting every invite sent today
+function getCurrentScheduleState() {
+  const sentToday = inviteLedger.inviteTimesSince(getWindow(SCHEDULE).start).length;
+  return { ...getScheduleState({ schedule: SCHEDULE, quota: SCHEDULE_QUOTA, sentToday }), sentToday };
+}
+
+// Queue entries the scheduler sends to: approved ones first, then pending ones if enabled
+function getSchedulableCandidates() {
+  const approved = candidateQueue.find({ status: 'approved' });
+  return SCHEDULE.includePending ? approved.concat(candidateQueue.find({ status: 'pending' })) : approved;
+}
+
+// Send the invites that are due now. Returns how many were sent and how many candidates are left.
+async function runScheduledInvites(targetOrg, teamIds) {
+  if (!DRY_RUN) {
+    // Pick up approvals and invites made by other commands since the last pass
+    candidateQueue.load();
+    inviteLedger.load();
+  }
+  failedInvitesCount = 0;
+
+  const state = getCurrentScheduleState();
+  const candidates = getSchedulableCandidates();
+  console.log(`\n⏰ ${new Date().toLocaleString()}: ${state.sentToday}/${SCHEDULE_QUOTA} invites sent today, ${state.toSend} due now, ${candidates.length} candidate${candidates.length === 1 ? '' : 's'} waiting`);
+  if (state.toSend === 0 || candidates.length === 0) {
+    return { sent: 0, remaining: candidates.length };
+  }
+
+  const members = await getOrgMembers(targetOrg);
+  let sent = 0;
+  let tried = 0;
+  for (const entry of candidates) {
+    if (sent >= state.toSend || tooManyFailedInvites()) break;
+    if (!canSendMoreInvites()) {
+      console.log(`⚠️ ${describeQuotaLimit()}. Waiting for the next slot.`);
+      break;
+    }
+    tried++;
+    if (await inviteQueuedCandidate(entry, targetOrg, teamIds, members)) {
+      sent++;
+      if (!DRY_RUN && sent < state.toSend) {
+        await new Promise(resolve => setTimeout(resolve, DELAY_BETWEEN_INVITES));
+      }
+    }
+  }
+
+  runRecord.addCandidates('queue', tried);
+  if (AUDIT_RUN) {
+    runRecord.save();
+  }
+
+  if (sent > 0) {
+    await commitLogFiles();
+  }
+  return { sent, remaining: candidates.length - tried };
+}
+
+// `schedule run|tick|status`: drain the candidate queue evenly over each day's window
+async function runScheduler(mode, targetOrg) {
+  if (!['run', 'tick', 'status'].includes(mode)) {
+    console.error('❌ Usage: schedule run | schedule tick | schedule status');
+    process.exitCode = 1;
+    return false;
+  }
+
+  const describeWindow = () => `${SCHEDULE.windowStart}-${SCHEDULE.windowEnd}, ${SCHEDULE_QUOTA} invites per day`;
+
+  if (mode === 'status') {
+    const state = getCurrentScheduleState();
+    console.log(`\n⏰ Sending window: ${describeWindow()} (one every ${Math.round(state.interval / 60000)} minutes)`);
+    console.log(`   • Sent today: ${state.sentToday}`);
+    console.log(`   • Due now: ${state.toSend}`);
+    console.log(`   • Next invite due: ${state.nextSlot.toLocaleString()}`);
+    console.log(`   • Candidates waiting: ${getSchedulableCandidates().length}`);
+    printInviteQuota();
+    return true;
+  }
+
+  // Two schedulers sending from the same queue would double up on the quota
+  const lockPath = `${settings.paths.queue}.lock`;
+  if (!DRY_RUN && !acquireLock(lockPath)) {
+    console.error(`❌ Another scheduler is already running (see ${lockPath}).`);
+    process.exitCode = 1;
+    return false;
+  }
+
+  const teamIds = await getTeamIds(targetOrg);
+  if (!teamIds) return false;
+
+  if (mode === 'tick' || DRY_RUN) {
+    const { sent } = await runScheduledInvites(targetOrg, teamIds);
+    console.log(`⏭️ Next invite due: ${getCurrentScheduleState().nextSlot.toLocaleString()}`);
+    return sent > 0;
+  }
+
+  console.log(`\n⏰ Scheduler started (${describeWindow()}). Press Ctrl+C to stop.`);
+  const stop = () => {
+    console.log('\n👋 Scheduler stopped');
+    process.exit(0);
+  };
+  process.on('SIGINT', stop);
+  process.on('SIGTERM', stop);
+
+  while (true) {
+    const { remaining } = await runScheduledInvites(targetOrg, teamIds);
+    const state = getCurrentScheduleState();
+
+    // Wake up for the next slot (later if the hourly or daily limit is full),
+    // but check for newly approved candidates at least every 15 minutes
+    const wakeAt = remaining > 0
+      ? Math.max(state.nextSlot.getTime(), getInviteQuota().nextSlotAt.getTime())
+      : Date.now() + 15 * 60 * 1000;
+    const delay = Math.min(Math.max(wakeAt - Date.now(), 60 * 1000), 15 * 60 * 1000);
+    console.log(`⏳ Next invite due ${state.nextSlot.toLocaleString()}; checking again in ${Math.round(delay / 60000)} minutes`);
+    await new Promise(resolve => setTimeout(resolve, delay));
+  }
+}
+
+// `queue list|review|approve|reject|run`
+async function manageQueue(action, usernames) {
+  switch (action) {
+    case 'list': {
+      const entries = candidateQueue.find(getQueueFilter(null));
+      const counts = candidateQueue.statusCounts();
+      console.log(`\n📋 Candidate queue: ${Object.entries(counts).map(([status, count]) => `${count} ${status}`).join(', ')}`);
+      if (entries.length === 0) {
+        console.log('✨ No candidates match.');
+        return false;
+      }
+      entries.forEach(entry => console.log(`   • ${describeCandidate(entry)}`));
+      return true;
+    }
+    case 'review':
+      return await reviewQueue();
+    case 'approve':
+      return await decideCandidates('approved', usernames);
+    case 'reject':
+      return await decideCandidates('rejected', usernames);
+    case 'run':
+      return await runApprovedInvites(ORG);
+    default:
+      console.error('❌ Usage: queue list | queue review | queue approve [usernames...] | queue reject [usernames...] | queue run');
+      process.exitCode = 1;
+      return false;
+  }
+}
+
+// Run one of the invite sources non-interactively, e.g. `invite search "IIT"`
+async function runInviteCommand(source, target) {
+  if (!target) {
+    console.error(`❌ Missing argument for "invite ${source || ''}".`);
+    printUsage();
+    process.exitCode = 1;
+    return false;
+  }
+
+  switch (source) {
+    case 'followers': {
+      const username = extractGitHubUsername(target);
+      return await handleSponsorInvitations(await getFollowers(username), `followers-${username}`, ORG);
+    }
+    case 'org-followers': {
+      const orgName = extractGitHubUsername(target);
+      return await handleSponsorInvitations(await getOrgFollowers(orgName), `org-${orgName}`, ORG);
+    }
+    case 'user': {
+      let username = extractGitHubUsername(target);
+      if (username && username.includes('@')) {
+        console.log(`\n🔍 Looking up GitHub account for ${username}...`);
+        username = await findUserByEmail(username);
+        if (!username) {
+          console.log('❌ No GitHub account with that public email was found');
+          process.exitCode = 1;
+          return false;
+        }
+        console.log(`✅ Found @${username}`);
+      }
+      return await handleSponsorInvitations([username], 'single-user', ORG);
+    }
+    case 'search':
+      return await inviteFromSearch(target);
+    case 'contributors':
+      return await handleSponsorInvitations(await getRepoContributors(target), `contributors-${target.replace('https://github.com/', '')}`, ORG);
+    case 'repo-activity': {
+      const activityTarget = parseActivityTarget(target);
+      return await handleSponsorInvitations(await getRepoActivity(activityTarget), `repo-activity:${activityTarget}`, ORG);
+    }
+    case 'readme':
+      return await handleSponsorInvitations(await scanReadmeForUsers(target), `readme-${target.replace('https://github.com/', '')}`, ORG);
+    case 'sponsors':
+    case 'sponsoring': {
+      const username = extractGitHubUsername(target);
+      const users = source === 'sponsors' ? await getSponsors(username) : await getSponsoring(username);
+      return await handleSponsorInvitations(users, `${source}-${username}`, ORG);
+    }
+    default:
+      console.error(`❌ Unknown invite source: ${source}`);
+      printUsage();
+      process.exitCode = 1;
+      return false;
+  }
+}
+
+// Interactive menu choices and the invite source each one runs (6 is handled separately)
+const MENU_OPTIONS = {
+  '1': { source: 'followers', prompt: 'Enter the GitHub username or profile URL: ' },
+  '2': { source: 'org-followers', prompt: 'Enter the organization name or URL: ' },
+  '3': { source: 'user', prompt: 'Enter the GitHub username, profile URL or email: ' },
+  '4': { source: 'search', prompt: 'Enter search keywords (e.g., IIT location:Germany followers:>10): ' },
+  '5': { source: 'contributors', prompt: 'Enter the repository URL (e.g., https://github.com/owner/repo): ' },
+  '7': { source: 'readme', prompt: 'Enter the repository URL (e.g., https://github.com/owner/repo): ' },
+  '8': { source: 'sponsors', prompt: 'Enter the GitHub profile/organization URL (e.g., https://github.com/username): ' },
+  '9': { source: 'sponsoring', prompt: 'Enter the GitHub profile/organization URL (e.g., https://github.com/username): ' },
+  '10': { source: 'repo-activity', prompt: 'Enter the repository URL or organization (e.g., https://github.com/owner/repo): ' }
+};
+
+// Dispatch a command given on the command line
+async function runCommand(args) {
+  const [command, ...rest] = args;
+
+  switch (command) {
+    case 'invite':
+      // Join the remaining words so unquoted search queries still work
+      return await runInviteCommand(rest[0], rest.slice(1).join(' '));
+    case 'follow-members':
+      await followAllOrgMembers();
+      return true;
+    case 'reconcile':
+      return await reconcileInvitations(ORG);
+    case 'cancel-stale':
+      return await cancelStaleInvitations(ORG);
+    case 'events':
+      if (rest[0] !== 'convert') {
+        console.error('❌ Usage: events convert');
+        process.exitCode = 1;
+        return false;
+      }
+      if (DRY_RUN) {
+        console.log('🧪 Dry run: the event log was not changed.');
+        return false;
+      }
+      return convertInvitationLog();
+    case 'runs':
+      return showRuns(rest[0], rest[1]);
+    case 'searches':
+      return manageSearches(rest[0], rest.slice(1).join(' '));
+    case 'campaigns':
+      return await manageCampaigns(rest[0], rest.slice(1));
+    case 'storage':
+      return manageStorage(rest[0]);
+    case 'quota':
+      console.log('\n📊 Invitation quota:');
+      printInviteQuota();
+      return true;
+    case 'blocklist':
+      return manageBlocklist(rest[0], rest[1]);
+    case 'queue':
+      return await manageQueue(rest[0], rest.slice(1));
+    case 'schedule':
+      return await runScheduler(rest[0], ORG);
+    default:
+      console.error(`❌ Unknown command: ${command}`);
+      printUsage();
+      process.exitCode = 1;
+      return false;
+  }
+}
+
 // Modify the main function to initialize logs at startup
 async function main() {
   try {
     console.log('🤖 KHC Invitation Bot');
     console.log('📝 Configuration:');
     console.log('   GitHub Token: ✅ Present');
+    if (settings.profile) {
+      console.log(`   Profile: ${settings.profile}`);
+    }
+    console.log(`   Organization: ${ORG}`);
+    console.log(`   Team${TEAMS.length === 1 ? '' : 's'}: ${TEAMS.join(', ')}`);
+
+    // Initialize log files first and back them up, unless this is a dry run,
+    // which leaves the data files and log_backups/ as they are
+    if (!DRY_RUN) {
+      initializeLogFiles();
+      createPeriodicBackup();
+    }
+
+    // Move the legacy text log into the event log on the first run after upgrading
+    convertInvitationLogOnce();
+
+    // Load the permanent invite history
+    loadInviteLedger();
 
-    // Initialize log files first
-    initializeLogFiles();
+    if (AUDIT_RUN) {
+      await startRunRecord();
+    }
 
-    // Create periodic backup
-    createPeriodicBackup();
+    // Refresh the rolling invite counts in the stats file
+    getInviteQuota();
+    updateStats();
 
-    // Clean up log file
-    cleanupLogFile();
+    if (!INTERACTIVE) {
+      return await runCommand(cli.positional);
+    }
 
-    // Check last search from log file
-    const lastSearch = getLastSearchFromLog();
+    // Offer to continue the most recent search that still has users left
+    const unfinished = searchCheckpoints.list().find(search => !searchCheckpoints.isExhausted(search.query));
     
-    if (lastSearch) {
-      console.log(`\n🔍 Found previous search for: "${lastSearch}"`);
+    if (unfinished) {
+      const lastSearch = unfinished.label || unfinished.query;
+      console.log(`\n🔍 Found an unfinished search for: "${lastSearch}" (${unfinished.complete ? `${searchCheckpoints.remaining(unfinished.query).length} users left` : 'still fetching'})`);
       
-      const checkPrevious = await new Promise(resolve => {
-        rl.question('Do you want to continue with the previous search first? (yes/no): ', resolve);
-      });
+      const checkPrevious = await askYesNo('Do you want to continue with the previous search first? (yes/no): ');
 
-      if (checkPrevious.toLowerCase() === 'yes') {
-        const followers = await searchUsersByKeyword(lastSearch);
-        await handleSponsorInvitations(followers, `search-${lastSearch}`, ORG);
+      if (checkPrevious) {
+        await inviteFromSearch(lastSearch);
       }
     }
 
@@ -1682,45 +3276,61 @@ async function main() {
     console.log('7. Scan README files for GitHub users');
     console.log('8. Invite sponsors of a user/organization');
     console.log('9. Invite users being sponsored by a user/organization');
+    console.log('10. Invite users active in a repository\'s issues and pull requests');
 
-    const answer = await new Promise(resolve => {
-      rl.question('Enter your choice (1-9): ', resolve);
-    });
-
-    if (answer === '8' || answer === '9') {
-      const userInput = await new Promise(resolve => {
-        rl.question('Enter the GitHub profile/organization URL (e.g., https://github.com/username): ', resolve);
-      });
+    const answer = (await ask('Enter your choice (1-10): ')).trim();
 
-      const username = extractGitHubUsername(userInput);
-      if (!username) {
-        console.error('❌ Invalid GitHub URL or username');
-        return false;
-      }
+    if (answer === '6') {
+      await followAllOrgMembers();
+      return true;
+    }
 
-      console.log(`\n🔍 Processing ${answer === '8' ? 'sponsors' : 'sponsored users'} for @${username}...`);
-      const sourceUsername = username;
-      const followers = answer === '8' ? 
-        await getSponsors(username) : 
-        await getSponsoring(username);
+    const option = MENU_OPTIONS[answer];
+    if (!option) {
+      console.error('❌ Invalid choice. Please enter 1-10.');
+      process.exitCode = 1;
+      return false;
+    }
 
-      return await handleSponsorInvitations(followers, sourceUsername, ORG);
-    } else {
-      console.error('❌ Invalid choice. Please enter 1-9.');
+    const target = (await ask(option.prompt)).trim();
+    if (!target) {
+      console.error('❌ No input given');
+      process.exitCode = 1;
       return false;
     }
+
+    return await runInviteCommand(option.source, target);
   } catch (error) {
     console.error('❌ An unexpected error occurred:', error.message);
+    // Let cron and CI see the failure
+    process.exitCode = 1;
     return false;
   }
 }
 
+// Save the dry-run plan and summarize it
+function writeRunPlan() {
+  plan.save(RUN_PLAN_FILE);
+  const { invites, follows, skipped } = plan.data;
+  console.log('\n🧪 Dry run complete: no invitations were sent and nothing was committed.');
+  console.log(`   • Would invite: ${invites.length}`);
+  if (follows.length > 0) {
+    console.log(`   • Would follow: ${follows.length}`);
+  }
+  console.log(`   • Skipped: ${skipped.length}`);
+  for (const { reason, count } of plan.skipSummary()) {
+    console.log(`     - ${reason}: ${count}`);
+  }
+  console.log(`📝 Plan saved to ${RUN_PLAN_FILE}`);
+}
+
 // Start the application
 try {
   await main();
 } catch (error) {
   console.error('❌ An unexpected error occurred:', error.message);
-  process.exit(1);
+  process.exitCode = 1;
 } finally {
-  rl.close();
-}
\ No newline at end of file
+  if (plan) writeRunPlan();
+  if (rl) rl.close();
+}
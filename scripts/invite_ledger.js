@@ -0,0 +1,316 @@
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { readEvents, formatSource } from './event_log.js';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+export const DEFAULT_LEDGER_PATH = path.join(__dirname, '..', 'invited_users.json');
+export const LEDGER_VERSION = 2;
+
+// Lifecycle of an invitation once it has been sent
+export const INVITE_STATUSES = ['invited', 'pending', 'accepted', 'expired', 'failed', 'cancelled'];
+
+function emptyLedger() {
+    return {
+        version: LEDGER_VERSION,
+        invited_users: {},
+        last_updated: new Date().toISOString(),
+        total_invites: 0
+    };
+}
+
+/**
+ * Durable record of every invitation the bot has sent, keyed by GitHub login.
+ *
+ * Each user entry keeps the latest invite in `invited_at` / `search_term`
+ * (the fields InviteManager always used) plus the full `history` of invite
+ * events, so re-invites are never overwritten.
+ */
+class InviteLedger {
+    // With `dryRun`, changes are kept in memory only and never written to disk.
+    // With a `store` (SqliteStore), entries live in its "invites" table instead
+    // of the JSON file, and save() only writes the entries that changed.
+    constructor(ledgerPath = DEFAULT_LEDGER_PATH, { dryRun = false, store = null } = {}) {
+        this.ledgerPath = ledgerPath;
+        this.dryRun = dryRun;
+        this.store = store;
+        this.data = emptyLedger();
+        // GitHub logins are case-insensitive, so lookups go through a lowercase index
+        this.index = new Map();
+        // Keys of entries changed since the last save
+        this.dirty = new Set();
+        // Format version found on disk (null when there was no ledger yet)
+        this.loadedVersion = null;
+        this.load();
+    }
+
+    load() {
+        if (this.store) {
+            this.loadFromStore();
+            return;
+        }
+        if (!fs.existsSync(this.ledgerPath)) return;
+
+        const content = fs.readFileSync(this.ledgerPath, 'utf8');
+        if (!content.trim()) return;
+
+        let parsed = null;
+        try {
+            parsed = JSON.parse(content);
+        } catch (error) {
+            // Older versions of inviteFollowers wrote one JSON object per line
+            this.loadedVersion = 0;
+            for (const line of content.split('\n')) {
+                if (!line.trim()) continue;
+                try {
+                    const entry = JSON.parse(line);
+                    this.mergeEvent({
+                        username: entry.username,
+                        timestamp: entry.timestamp,
+                        source: entry.source
+                    });
+                } catch (lineError) {
+                    throw new Error(`Invite ledger ${this.ledgerPath} is corrupted: ${lineError.message}`);
+                }
+            }
+            return;
+        }
+
+        this.loadedVersion = parsed?.version || 1;
+        if (parsed && parsed.version === LEDGER_VERSION) {
+            this.data = parsed;
+            for (const username of Object.keys(this.data.invited_users)) {
+                this.index.set(username.toLowerCase(), username);
+            }
+            return;
+        }
+
+        // Version 1: { invited_users: { login: { invited_at, search_term } } }
+        for (const [username, entry] of Object.entries(parsed?.invited_users || {})) {
+            this.mergeEvent({
+                username,
+                timestamp: entry.invited_at,
+                source: entry.search_term
+            });
+        }
+    }
+
+    loadFromStore() {
+        const invitedUsers = this.store.all('invites');
+        this.loadedVersion = LEDGER_VERSION;
+        this.data = {
+            ...emptyLedger(),
+            ...this.store.getMeta('ledger', {}),
+            invited_users: invitedUsers,
+            total_invites: Object.keys(invitedUsers).length
+        };
+        for (const username of Object.keys(invitedUsers)) {
+            this.index.set(username.toLowerCase(), username);
+        }
+    }
+
+    // Add an event to the ledger in memory, skipping exact duplicates
+    mergeEvent({ username, timestamp, source = '', org = null, team = null, status = 'invited' }) {
+        if (!username || !timestamp) return false;
+
+        const key = this.index.get(username.toLowerCase()) || username;
+        const entry = this.data.invited_users[key] || { history: [] };
+        if (entry.history.some(event => event.timestamp === timestamp && event.status === status)) {
+            return false;
+        }
+
+        entry.history.push({ timestamp, source, org, team, status });
+        entry.history.sort((a, b) => a.timestamp.localeCompare(b.timestamp));
+
+        // invited_at / search_term always describe the latest invitation sent
+        const invites = entry.history.filter(event => event.status === 'invited');
+        const latest = invites[invites.length - 1];
+        if (latest) {
+            entry.invited_at = latest.timestamp;
+            entry.search_term = latest.source;
+            entry.org = latest.org;
+            entry.team = latest.team;
+        }
+        // A new invitation starts a new lifecycle
+        if (!entry.status || (status === 'invited' && latest === entry.history[entry.history.length - 1])) {
+            entry.status = status;
+        }
+
+        if (!this.data.invited_users[key]) {
+            this.data.invited_users[key] = entry;
+            this.index.set(key.toLowerCase(), key);
+            this.data.total_invites++;
+        }
+        this.dirty.add(key);
+        return true;
+    }
+
+    has(username) {
+        return this.index.has(username.toLowerCase());
+    }
+
+    // Whether a user must be skipped as already invited. Cancelled invites
+    // flagged with `reinvite_after` become eligible again once that date passes.
+    isAlreadyInvited(username, now = Date.now()) {
+        const entry = this.get(username);
+        if (!entry) return false;
+        if (entry.status === 'cancelled' && entry.reinvite_after) {
+            return new Date(entry.reinvite_after).getTime() > now;
+        }
+        return true;
+    }
+
+    get(username) {
+        const key = this.index.get(username.toLowerCase());
+        return key ? this.data.invited_users[key] : null;
+    }
+
+    usernames() {
+        return Object.keys(this.data.invited_users);
+    }
+
+    entries() {
+        return Object.entries(this.data.invited_users);
+    }
+
+    // Times (in ms) of every invitation sent at or after `since`, oldest first
+    inviteTimesSince(since) {
+        const cutoff = new Date(since).getTime();
+        const times = [];
+        for (const entry of Object.values(this.data.invited_users)) {
+            for (const event of entry.history) {
+                const time = new Date(event.timestamp).getTime();
+                if (event.status === 'invited' && time >= cutoff) {
+                    times.push(time);
+                }
+            }
+        }
+        return times.sort((a, b) => a - b);
+    }
+
+    get size() {
+        return this.data.total_invites;
+    }
+
+    // Number of invitations sent, counting re-invites of the same user
+    inviteCount() {
+        return Object.values(this.data.invited_users)
+            .reduce((count, entry) => count + entry.history.filter(event => event.status === 'invited').length, 0);
+    }
+
+    // Record a newly sent invitation and persist the ledger
+    recordInvite(username, { source = '', org = null, team = null, timestamp = new Date().toISOString() } = {}) {
+        const added = this.mergeEvent({ username, timestamp, source, org, team });
+        if (added) {
+            this.save();
+        }
+        return added;
+    }
+
+    // Update the status of a user's latest invitation, e.g. after reconciling
+    // against the org's invitation list. Extra details (invitation id, failure
+    // reason) are stored on the entry as well.
+    setStatus(username, status, details = {}) {
+        if (!INVITE_STATUSES.includes(status)) {
+            throw new Error(`Unknown invite status: ${status}`);
+        }
+        const entry = this.get(username);
+        if (!entry) return false;
+
+        entry.status = status;
+        entry.status_updated_at = new Date().toISOString();
+        Object.assign(entry, details);
+        this.dirty.add(this.index.get(username.toLowerCase()));
+        return true;
+    }
+
+    // Record that a pending invitation was cancelled. `reinviteAfterDays` of
+    // null flags the user as "do not re-invite"; a number makes them eligible
+    // again after that many days.
+    recordCancellation(username, { org = null, invitationId = null, invitedAt = null, reinviteAfterDays = null, source = 'cancel-stale', timestamp = new Date().toISOString() } = {}) {
+        if (!this.has(username) && invitedAt) {
+            // Invitation sent outside the bot, keep its invite event too
+            this.mergeEvent({ username, timestamp: invitedAt, source: 'external', org });
+        }
+        this.mergeEvent({ username, timestamp, source, org, status: 'cancelled' });
+
+        const reinviteAfter = reinviteAfterDays === null
+            ? null
+            : new Date(new Date(timestamp).getTime() + reinviteAfterDays * 24 * 60 * 60 * 1000).toISOString();
+        this.setStatus(username, 'cancelled', {
+            cancelled_at: timestamp,
+            invitation_id: invitationId,
+            do_not_reinvite: reinviteAfter === null,
+            reinvite_after: reinviteAfter
+        });
+        this.save();
+    }
+
+    // Count ledger entries by status
+    statusCounts() {
+        const counts = Object.fromEntries(INVITE_STATUSES.map(status => [status, 0]));
+        for (const entry of Object.values(this.data.invited_users)) {
+            counts[entry.status || 'invited']++;
+        }
+        return counts;
+    }
+
+    // Merge the invites of an event log, or of a legacy "timestamp - source - username" log
+    importLogFile(logPath) {
+        let imported = 0;
+        for (const event of readEvents(logPath, { types: ['invite_sent'] })) {
+            const merged = this.mergeEvent({
+                username: event.username,
+                timestamp: event.ts,
+                source: formatSource(event),
+                org: event.org,
+                team: event.team
+            });
+            if (merged) {
+                imported++;
+            }
+        }
+        return imported;
+    }
+
+    // Merge another ledger file (any supported version) into this one
+    importLedgerFile(ledgerPath) {
+        if (!fs.existsSync(ledgerPath)) return 0;
+
+        const other = new InviteLedger(ledgerPath);
+        let imported = 0;
+        for (const [username, entry] of other.entries()) {
+            for (const event of entry.history) {
+                if (this.mergeEvent({ username, ...event })) {
+                    imported++;
+                }
+            }
+        }
+        return imported;
+    }
+
+    save() {
+        if (this.dryRun) return;
+        this.data.last_updated = new Date().toISOString();
+
+        if (this.store) {
+            this.store.putMany('invites', [...this.dirty].map(key => [key, this.data.invited_users[key]]));
+            this.store.setMeta('ledger', {
+                last_updated: this.data.last_updated,
+                last_reconciled: this.data.last_reconciled || null
+            });
+            this.dirty.clear();
+            return;
+        }
+        this.dirty.clear();
+
+        // Write to a temp file and rename so a crash never leaves a half-written ledger
+        const tempPath = `${this.ledgerPath}.tmp`;
+        fs.writeFileSync(tempPath, JSON.stringify(this.data, null, 2), 'utf8');
+        fs.renameSync(tempPath, this.ledgerPath);
+    }
+}
+
+export default InviteLedger;
@@ -1,60 +1,53 @@
 import fs from 'fs';
-import path from 'path';
-import { fileURLToPath } from 'url';
-
-const __filename = fileURLToPath(import.meta.url);
-const __dirname = path.dirname(__filename);
+import InviteLedger from './invite_ledger.js';
+import Blocklist from './blocklist.js';
+import { loadConfig } from './config.js';
+import { openStore } from './storage.js';
 
 class InviteManager {
-    constructor() {
-        this.invitedUsersPath = path.join(__dirname, '..', 'invited_users.json');
-        this.invitedUsers = this.loadInvitedUsers();
+    // `paths` is the paths section of a loaded config (ledger and blocklist files).
+    // With a `store` (SqliteStore) the ledger is read from and saved to it.
+    constructor(paths = loadConfig().paths, { store = null } = {}) {
+        this.invitedUsersPath = paths.ledger;
+        this.ledger = new InviteLedger(this.invitedUsersPath, { store });
+        this.invitedUsers = this.ledger.data;
+        this.blocklist = new Blocklist(paths.blocklist);
     }
 
-    loadInvitedUsers() {
-        try {
-            const data = fs.readFileSync(this.invitedUsersPath, 'utf8');
-            return JSON.parse(data);
-        } catch (error) {
-            // If file doesn't exist or is invalid, return default structure
-            return {
-                invited_users: {},
-                last_updated: new Date().toISOString(),
-                total_invites: 0
-            };
-        }
+    // A manager for a loaded config, using the storage backend it selects
+    static async fromConfig(settings = loadConfig()) {
+        return new InviteManager(settings.paths, { store: await openStore(settings) });
     }
 
     isUserInvited(username) {
-        return username in this.invitedUsers.invited_users;
+        return this.ledger.isAlreadyInvited(username);
+    }
+
+    // The blocklist entry that excludes a user, or null
+    getBlockEntry(username) {
+        return this.blocklist.get(username);
     }
 
     async trackInvite(username, searchTerm = '') {
-        if (this.isUserInvited(username)) {
-            console.log(`User ${username} was already invited on ${this.invitedUsers.invited_users[username].invited_at}`);
+        const blocked = this.getBlockEntry(username);
+        if (blocked) {
+            console.log(`User ${username} is ${this.blocklist.describe(blocked)}`);
             return false;
         }
 
-        // Track the new invite
-        this.invitedUsers.invited_users[username] = {
-            invited_at: new Date().toISOString(),
-            search_term: searchTerm
-        };
-        this.invitedUsers.total_invites++;
-        this.invitedUsers.last_updated = new Date().toISOString();
+        if (this.isUserInvited(username)) {
+            console.log(`User ${username} was already invited on ${this.ledger.get(username).invited_at}`);
+            return false;
+        }
 
-        // Save to file
-        await this.saveInvitedUsers();
+        // Track the new invite (the ledger saves itself)
+        this.ledger.recordInvite(username, { source: searchTerm });
         return true;
     }
 
     async saveInvitedUsers() {
         try {
-            await fs.promises.writeFile(
-                this.invitedUsersPath,
-                JSON.stringify(this.invitedUsers, null, 2),
-                'utf8'
-            );
+            this.ledger.save();
         } catch (error) {
             console.error('Error saving invited users:', error);
             throw error;
@@ -64,28 +57,9 @@ class InviteManager {
     // Import existing invites from log file
     async importFromLog(logPath) {
         try {
-            const logContent = await fs.promises.readFile(logPath, 'utf8');
-            const lines = logContent.split('\n');
-            
-            for (const line of lines) {
-                if (line.trim()) {
-                    const match = line.match(/(\d{4}-\d{2}-\d{2}T\d{2}:\d{2}:\d{2}\.\d{3}Z) - (.+?) - (.+)/);
-                    if (match) {
-                        const [, timestamp, searchTerm, username] = match;
-                        if (!this.isUserInvited(username)) {
-                            this.invitedUsers.invited_users[username] = {
-                                invited_at: timestamp,
-                                search_term: searchTerm
-                            };
-                            this.invitedUsers.total_invites++;
-                        }
-                    }
-                }
-            }
-            
-            this.invitedUsers.last_updated = new Date().toISOString();
+            this.ledger.importLogFile(logPath);
             await this.saveInvitedUsers();
-            console.log(`Imported invites from log. Total unique invites: ${this.invitedUsers.total_invites}`);
+            console.log(`Imported invites from log. Total unique invites: ${this.ledger.size}`);
         } catch (error) {
             console.error('Error importing from log:', error);
             throw error;
@@ -96,6 +70,8 @@ class InviteManager {
         const stats = {
             totalInvites: this.invitedUsers.total_invites,
             lastUpdated: this.invitedUsers.last_updated,
+            lastReconciled: this.invitedUsers.last_reconciled || null,
+            byStatus: this.ledger.statusCounts(),
             bySearchTerm: {},
             byDate: {},
             recentInvites: [],
@@ -124,7 +100,8 @@ class InviteManager {
             .map(([username, data]) => ({
                 username,
                 invited_at: data.invited_at,
-                search_term: data.search_term
+                search_term: data.search_term,
+                status: data.status || 'invited'
             }))
             .sort((a, b) => new Date(b.invited_at) - new Date(a.invited_at))
             .slice(0, 20);
@@ -145,6 +122,14 @@ class InviteManager {
         report.push(`Total Invites: ${stats.totalInvites}`);
         report.push(`Last Updated: ${stats.lastUpdated}\n`);
 
+        // Invitation status, as of the last reconcile run
+        report.push('## Invitation Status');
+        report.push(`Last Reconciled: ${stats.lastReconciled || 'never'}`);
+        Object.entries(stats.byStatus).forEach(([status, count]) => {
+            report.push(`- ${status}: ${count}`);
+        });
+        report.push('');
+
         // Top search terms
         report.push('## Top Search Terms');
         stats.topSearchTerms.forEach(({term, count}) => {
@@ -165,7 +150,7 @@ class InviteManager {
         // Recent invites
         report.push('## Recent Invites');
         stats.recentInvites.forEach(invite => {
-            report.push(`- ${invite.username} (${invite.invited_at}) - via "${invite.search_term}"`);
+            report.push(`- ${invite.username} (${invite.invited_at}) - via "${invite.search_term}" [${invite.status}]`);
         });
 
         const reportText = report.join('\n');
@@ -204,30 +189,16 @@ class InviteManager {
     }
 
     getDuplicateSearchAttempts() {
-        const userSearches = {};
-        const duplicates = [];
-
-        Object.entries(this.invitedUsers.invited_users).forEach(([username, data]) => {
-            if (!userSearches[username]) {
-                userSearches[username] = [];
-            }
-            userSearches[username].push({
-                search_term: data.search_term,
-                invited_at: data.invited_at
-            });
-        });
-
-        // Find users who were found by multiple searches
-        Object.entries(userSearches)
-            .filter(([, searches]) => searches.length > 1)
-            .forEach(([username, searches]) => {
-                duplicates.push({
-                    username,
-                    attempts: searches
-                });
-            });
-
-        return duplicates;
+        // Users that were invited more than once, e.g. found by several searches
+        return Object.entries(this.invitedUsers.invited_users)
+            .filter(([, data]) => data.history.length > 1)
+            .map(([username, data]) => ({
+                username,
+                attempts: data.history.map(event => ({
+                    search_term: event.source,
+                    invited_at: event.timestamp
+                }))
+            }));
     }
 }
 
@@ -0,0 +1,48 @@
+export const HOUR_MS = 60 * 60 * 1000;
+export const DAY_MS = 24 * HOUR_MS;
+
+/**
+ * Sliding-window invite quota, worked out from the timestamps (in ms) of the
+ * invites actually sent. An invite counts against a limit for exactly one
+ * hour or 24 hours after it was sent, so slots free up one at a time as old
+ * invites age out instead of all at once. `hourlyLimit` may be null.
+ *
+ * Returns the counts for both windows, how many more invites may be sent
+ * right now, and when the next one may be sent (`now` if there is room).
+ */
+export function getQuotaStatus(inviteTimes, { hourlyLimit = null, dailyLimit }, now = Date.now()) {
+    const sorted = [...inviteTimes].sort((a, b) => a - b);
+    const status = {
+        lastHour: 0,
+        last24Hours: 0,
+        hourlyRemaining: null,
+        dailyRemaining: null,
+        remaining: Infinity,
+        nextSlotAt: new Date(now),
+        limitedBy: null
+    };
+
+    const windows = [
+        { name: 'hourly', span: HOUR_MS, limit: hourlyLimit, countKey: 'lastHour', remainingKey: 'hourlyRemaining' },
+        { name: 'daily', span: DAY_MS, limit: dailyLimit, countKey: 'last24Hours', remainingKey: 'dailyRemaining' }
+    ];
+    for (const { name, span, limit, countKey, remainingKey } of windows) {
+        const recent = sorted.filter(time => time > now - span && time <= now);
+        status[countKey] = recent.length;
+        if (limit === null || limit === undefined) continue;
+
+        const remaining = Math.max(0, limit - recent.length);
+        status[remainingKey] = remaining;
+        status.remaining = Math.min(status.remaining, remaining);
+
+        // A full window has room again once enough of its oldest invites have aged out
+        if (remaining === 0) {
+            const opensAt = recent[recent.length - limit] + span;
+            if (opensAt > status.nextSlotAt.getTime()) {
+                status.nextSlotAt = new Date(opensAt);
+                status.limitedBy = name;
+            }
+        }
+    }
+    return status;
+}
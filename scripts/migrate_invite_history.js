@@ -0,0 +1,94 @@
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import InviteLedger from './invite_ledger.js';
+import { loadConfig, getProfileArg } from './config.js';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+// Merge every invite record we have ever written into the invite ledger:
+// invited_users.json (keyed object or NDJSON), invitation_events.jsonl, the
+// legacy invitation_log.txt and its .backup copy, and the dated copies of all
+// of them in log_backups/. Entries are merged by user and timestamp, so
+// running this more than once is harmless. With `dryRun` the merged ledger
+// is only built in memory: nothing is copied, saved or written.
+export function migrateInviteHistory({
+    rootDir = path.join(__dirname, '..'),
+    ledgerFile = 'invited_users.json',
+    logFile = 'invitation_log.txt',
+    eventLogFile = 'invitation_events.jsonl',
+    statsFile = 'invitation_stats.json',
+    backupDir = 'log_backups',
+    dryRun = false
+} = {}) {
+    const ledgerPath = path.resolve(rootDir, ledgerFile);
+    const logPath = path.resolve(rootDir, logFile);
+    const eventLogPath = path.resolve(rootDir, eventLogFile);
+    const backupPath = path.resolve(rootDir, backupDir);
+
+    // Keep the original file around untouched in case anything looks off
+    if (!dryRun && fs.existsSync(ledgerPath) && !fs.existsSync(`${ledgerPath}.pre-migration`)) {
+        fs.copyFileSync(ledgerPath, `${ledgerPath}.pre-migration`);
+    }
+
+    const ledger = new InviteLedger(ledgerPath, { dryRun });
+    const sources = [];
+    const importFrom = (label, count) => sources.push({ label, count });
+
+    importFrom(path.basename(logPath), ledger.importLogFile(logPath));
+    importFrom(`${path.basename(logPath)}.backup`, ledger.importLogFile(`${logPath}.backup`));
+    importFrom(path.basename(eventLogPath), ledger.importLogFile(eventLogPath));
+
+    if (fs.existsSync(backupPath)) {
+        for (const file of fs.readdirSync(backupPath).sort()) {
+            const filePath = path.join(backupPath, file);
+            if (file.startsWith(path.basename(logPath)) || file.startsWith(path.basename(eventLogPath))) {
+                importFrom(path.join(path.basename(backupPath), file), ledger.importLogFile(filePath));
+            } else if (file.startsWith(path.basename(ledgerPath))) {
+                importFrom(path.join(path.basename(backupPath), file), ledger.importLedgerFile(filePath));
+            }
+        }
+    }
+
+    ledger.save();
+    if (dryRun) {
+        return { ledger, sources };
+    }
+
+    // invitation_stats.json only ever counted up; reset its total to what the ledger holds
+    const statsPath = path.resolve(rootDir, statsFile);
+    let stats = {};
+    try {
+        stats = JSON.parse(fs.readFileSync(statsPath, 'utf8'));
+    } catch (error) {
+        // Missing or empty stats file, start from scratch
+    }
+    stats.totalInvites = ledger.inviteCount();
+    fs.writeFileSync(statsPath, JSON.stringify(stats, null, 2));
+
+    return { ledger, sources };
+}
+
+// Run if this is the main module
+if (process.argv[1] && path.resolve(process.argv[1]) === __filename) {
+    try {
+        const { paths } = loadConfig({ profile: getProfileArg() });
+        const { ledger, sources } = migrateInviteHistory({
+            ledgerFile: paths.ledger,
+            logFile: paths.log,
+            eventLogFile: paths.events,
+            statsFile: paths.stats,
+            backupDir: paths.backupDir
+        });
+        console.log('Invite history migration complete');
+        sources.forEach(({ label, count }) => {
+            console.log(`- ${label}: ${count} new entries`);
+        });
+        console.log(`Unique users invited: ${ledger.size}`);
+        console.log(`Total invites recorded: ${ledger.inviteCount()}`);
+    } catch (error) {
+        console.error('Error migrating invite history:', error);
+        process.exit(1);
+    }
+}
@@ -0,0 +1,143 @@
+// Declarative rules a candidate must pass before being invited. A rule set
+// to null is not checked.
+export const DEFAULT_RULES = {
+    minAccountAgeDays: null,
+    minFollowers: null,
+    minPublicRepos: null,
+    maxDaysSinceLastPush: null,
+    requireBio: false,
+    locationAllow: [],
+    locationDeny: [],
+    excludeBots: true,
+    usersOnly: true
+};
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+export function looksLikeBot(login) {
+    return /\[bot\]$/i.test(login) || /[-_]bot$/i.test(login);
+}
+
+// Problems with a rule set, as readable messages (empty when valid)
+export function validateRules(rules, prefix = 'qualification') {
+    const problems = [];
+    if (!rules || typeof rules !== 'object' || Array.isArray(rules)) {
+        return [`"${prefix}" must be an object`];
+    }
+
+    for (const [key, value] of Object.entries(rules)) {
+        if (!(key in DEFAULT_RULES)) {
+            problems.push(`unknown rule "${prefix}.${key}"`);
+        } else if (key.startsWith('min') || key.startsWith('max')) {
+            if (value !== null && !(typeof value === 'number' && value >= 0)) {
+                problems.push(`"${prefix}.${key}" must be a non-negative number or null`);
+            }
+        } else if (key.startsWith('location')) {
+            if (!Array.isArray(value) || !value.every(entry => typeof entry === 'string' && entry.trim())) {
+                problems.push(`"${prefix}.${key}" must be a list of non-empty strings`);
+            }
+        } else if (typeof value !== 'boolean') {
+            problems.push(`"${prefix}.${key}" must be true or false`);
+        }
+    }
+    return problems;
+}
+
+// Whether any enabled rule needs the date of the user's most recent push
+export function needsLastPush(rules) {
+    return rules.maxDaysSinceLastPush !== null && rules.maxDaysSinceLastPush !== undefined;
+}
+
+// The profile fields rules are checked against, taken from a /users/{login} response
+export function toCandidateProfile(userData) {
+    return {
+        id: userData.id,
+        username: userData.login,
+        type: userData.type,
+        name: userData.name,
+        bio: userData.bio,
+        location: userData.location,
+        company: userData.company,
+        blog: userData.blog,
+        public_repos: userData.public_repos,
+        followers: userData.followers,
+        following: userData.following,
+        created_at: userData.created_at
+    };
+}
+
+// Fetch a candidate's profile, plus `last_push_at` when the rules need it.
+// `last_push_at` is the most recent push to one of the user's public repos.
+export async function fetchCandidateProfile(github, username, rules = DEFAULT_RULES) {
+    const profile = toCandidateProfile(await github.get(`/users/${username}`));
+    if (needsLastPush(rules)) {
+        const repos = await github.get(`/users/${username}/repos?sort=pushed&direction=desc&per_page=1`);
+        profile.last_push_at = repos[0]?.pushed_at || null;
+    }
+    return profile;
+}
+
+function matchesAny(location, patterns) {
+    const normalized = location.toLowerCase();
+    return patterns.find(pattern => normalized.includes(pattern.toLowerCase()));
+}
+
+/**
+ * Check a candidate profile against a rule set.
+ * Returns { qualified, reasons } where reasons lists every rule that failed.
+ */
+export function evaluateCandidate(profile, rules = DEFAULT_RULES, now = Date.now()) {
+    const config = { ...DEFAULT_RULES, ...rules };
+    const reasons = [];
+    const daysSince = date => Math.floor((now - new Date(date).getTime()) / DAY_MS);
+
+    if (config.excludeBots && (profile.type === 'Bot' || looksLikeBot(profile.username))) {
+        reasons.push('account is a bot');
+    } else if (config.usersOnly && profile.type && profile.type !== 'User') {
+        reasons.push(`account is of type ${profile.type}`);
+    }
+
+    if (config.minAccountAgeDays !== null) {
+        const age = daysSince(profile.created_at);
+        if (age < config.minAccountAgeDays) {
+            reasons.push(`account is ${age} days old (minimum ${config.minAccountAgeDays})`);
+        }
+    }
+
+    if (config.minFollowers !== null && (profile.followers || 0) < config.minFollowers) {
+        reasons.push(`${profile.followers || 0} followers (minimum ${config.minFollowers})`);
+    }
+
+    if (config.minPublicRepos !== null && (profile.public_repos || 0) < config.minPublicRepos) {
+        reasons.push(`${profile.public_repos || 0} public repos (minimum ${config.minPublicRepos})`);
+    }
+
+    if (needsLastPush(config)) {
+        if (!profile.last_push_at) {
+            reasons.push('no public pushes');
+        } else if (daysSince(profile.last_push_at) > config.maxDaysSinceLastPush) {
+            reasons.push(`last push ${daysSince(profile.last_push_at)} days ago (maximum ${config.maxDaysSinceLastPush})`);
+        }
+    }
+
+    if (config.requireBio && !(profile.bio || '').trim()) {
+        reasons.push('empty bio');
+    }
+
+    const location = (profile.location || '').trim();
+    if (config.locationDeny.length > 0 && location) {
+        const denied = matchesAny(location, config.locationDeny);
+        if (denied) {
+            reasons.push(`location "${location}" matches denied "${denied}"`);
+        }
+    }
+    if (config.locationAllow.length > 0) {
+        if (!location) {
+            reasons.push('no location set');
+        } else if (!matchesAny(location, config.locationAllow)) {
+            reasons.push(`location "${location}" is not in the allowed list`);
+        }
+    }
+
+    return { qualified: reasons.length === 0, reasons };
+}
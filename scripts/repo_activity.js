@@ -0,0 +1,209 @@
+import { looksLikeBot } from './qualification_rules.js';
+import { isRefusal } from './github_client.js';
+
+// Which participants `invite repo-activity` collects
+export const DEFAULT_ACTIVITY_OPTIONS = {
+    // Length of the window when no --since is given, in days back from today
+    days: 90,
+    // Interactions a user needs in the window to become a candidate
+    minInteractions: 1,
+    // Leave out bot accounts ("[bot]" logins and type Bot)
+    excludeBots: true
+};
+
+// What counts as an interaction, in the order reports list them
+export const INTERACTION_KINDS = ['issues', 'pull_requests', 'reviews', 'comments', 'discussions'];
+
+const INTERACTION_LABELS = {
+    issues: ['issue', 'issues'],
+    pull_requests: ['pull request', 'pull requests'],
+    reviews: ['review', 'reviews'],
+    comments: ['comment', 'comments'],
+    discussions: ['discussion post', 'discussion posts']
+};
+
+const DAY_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Discussions are only available through GraphQL
+const DISCUSSIONS_QUERY = `
+    query($owner: String!, $name: String!, $after: String) {
+        repository(owner: $owner, name: $name) {
+            discussions(first: 50, after: $after, orderBy: { field: UPDATED_AT, direction: DESC }) {
+                pageInfo { hasNextPage endCursor }
+                nodes {
+                    createdAt
+                    updatedAt
+                    author { login __typename }
+                    comments(first: 100) {
+                        nodes { createdAt author { login __typename } }
+                    }
+                }
+            }
+        }
+    }
+`;
+
+const sleep = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+// Problems with activity options, as readable messages (empty when valid)
+export function validateActivityOptions(options, prefix = 'activity') {
+    if (!options || typeof options !== 'object' || Array.isArray(options)) {
+        return [`"${prefix}" must be an object`];
+    }
+
+    const problems = [];
+    for (const [key, value] of Object.entries(options)) {
+        if (!(key in DEFAULT_ACTIVITY_OPTIONS)) {
+            problems.push(`unknown setting "${prefix}.${key}"`);
+        } else if (key === 'days' || key === 'minInteractions') {
+            if (!(Number.isInteger(value) && value > 0)) {
+                problems.push(`"${prefix}.${key}" must be a positive integer`);
+            }
+        } else if (typeof value !== 'boolean') {
+            problems.push(`"${prefix}.${key}" must be true or false`);
+        }
+    }
+    return problems;
+}
+
+// The first and last day of the activity window: `since` and `until`
+// (YYYY-MM-DD) when given, otherwise the last `days` days up to today
+export function activityWindow({ days }, { since = null, until = null } = {}, today = new Date()) {
+    for (const [name, value] of [['since', since], ['until', until]]) {
+        if (value !== null && !(DAY_PATTERN.test(value) && !Number.isNaN(Date.parse(value)))) {
+            throw new Error(`--${name} must be a date (YYYY-MM-DD)`);
+        }
+    }
+    const window = {
+        since: since || new Date(today.getTime() - days * DAY_MS).toISOString().slice(0, 10),
+        until: until || today.toISOString().slice(0, 10)
+    };
+    if (window.since > window.until) {
+        throw new Error(`The activity window starts (${window.since}) after it ends (${window.until})`);
+    }
+    return window;
+}
+
+// e.g. "5 interactions: 2 issues, 1 review, 2 comments"
+export function describeInteractions(counts) {
+    const parts = INTERACTION_KINDS
+        .filter(kind => counts[kind] > 0)
+        .map(kind => `${counts[kind]} ${INTERACTION_LABELS[kind][counts[kind] === 1 ? 0 : 1]}`);
+    return `${counts.total} interaction${counts.total === 1 ? '' : 's'}: ${parts.join(', ')}`;
+}
+
+/**
+ * Collect the users who opened issues or pull requests, reviewed pull
+ * requests, commented, or posted in discussions within a date window, on
+ * `repo` ("owner/name") or, when `repo` is only an owner, on every
+ * repository of that organization or user that is not a fork or archived.
+ * `window` is { since, until } as activityWindow() returns it.
+ * Returns { users, interactions, repos } where `interactions` maps each
+ * login to its counts per kind plus `total`; only users with at least
+ * `minInteractions` are returned. Repositories GitHub refuses to list are
+ * reported and skipped.
+ */
+export async function collectRepoActivity(github, repo, window, options = {}, { delayMs = 1000, log = console.log } = {}) {
+    const settings = { ...DEFAULT_ACTIVITY_OPTIONS, ...options };
+    const sinceIso = `${window.since}T00:00:00Z`;
+    const untilIso = `${window.until}T23:59:59Z`;
+    const inWindow = timestamp => Boolean(timestamp) && timestamp >= sinceIso && timestamp <= untilIso;
+    const interactions = {};
+
+    const count = (user, kind, timestamp) => {
+        if (!user?.login || !inWindow(timestamp)) return;
+        if (settings.excludeBots && (user.type === 'Bot' || user.__typename === 'Bot' || looksLikeBot(user.login))) return;
+        const counts = interactions[user.login]
+            || (interactions[user.login] = { ...Object.fromEntries(INTERACTION_KINDS.map(kind => [kind, 0])), total: 0 });
+        counts[kind]++;
+        counts.total++;
+    };
+
+    const pause = async () => {
+        if (delayMs > 0) {
+            await sleep(delayMs);
+        }
+    };
+
+    const collectDiscussions = async fullName => {
+        const [owner, name] = fullName.split('/');
+        let after = null;
+        do {
+            const data = await github.graphql(DISCUSSIONS_QUERY, { owner, name, after });
+            const discussions = data?.repository?.discussions;
+            if (!discussions) return;
+
+            for (const discussion of discussions.nodes) {
+                count(discussion.author, 'discussions', discussion.createdAt);
+                discussion.comments.nodes.forEach(comment => count(comment.author, 'discussions', comment.createdAt));
+            }
+            // Newest updates come first, so the rest of the pages are older than the window
+            const oldest = discussions.nodes[discussions.nodes.length - 1];
+            after = discussions.pageInfo.hasNextPage && oldest && oldest.updatedAt >= sinceIso ? discussions.pageInfo.endCursor : null;
+        } while (after);
+    };
+
+    const collectRepo = async fullName => {
+        log(`📥 Fetching issues, pull requests and comments of ${fullName}...`);
+
+        // `since` filters on the last update; what was created in the window is counted
+        const pullNumbers = [];
+        for await (const items of github.pages(`/repos/${fullName}/issues?state=all&since=${sinceIso}`)) {
+            for (const item of items) {
+                count(item.user, item.pull_request ? 'pull_requests' : 'issues', item.created_at);
+                if (item.pull_request) {
+                    pullNumbers.push(item.number);
+                }
+            }
+        }
+        for await (const comments of github.pages(`/repos/${fullName}/issues/comments?since=${sinceIso}`)) {
+            comments.forEach(comment => count(comment.user, 'comments', comment.created_at));
+        }
+        for await (const comments of github.pages(`/repos/${fullName}/pulls/comments?since=${sinceIso}`)) {
+            comments.forEach(comment => count(comment.user, 'comments', comment.created_at));
+        }
+
+        // Reviews can only be listed per pull request
+        for (const number of pullNumbers) {
+            for await (const reviews of github.pages(`/repos/${fullName}/pulls/${number}/reviews`)) {
+                reviews.forEach(review => count(review.user, 'reviews', review.submitted_at));
+            }
+        }
+
+        try {
+            await collectDiscussions(fullName);
+        } catch (error) {
+            // Tokens without GraphQL access still get everything else
+            log(`⚠️ Could not list discussions of ${fullName}: ${error.message}`);
+        }
+    };
+
+    let repos = [repo];
+    if (!repo.includes('/')) {
+        let ownerRepos;
+        try {
+            ownerRepos = await github.paginate(`/orgs/${repo}/repos`);
+        } catch (error) {
+            if (error.status !== 404) throw error;
+            ownerRepos = await github.paginate(`/users/${repo}/repos`);
+        }
+        repos = ownerRepos.filter(ownerRepo => !ownerRepo.fork && !ownerRepo.archived).map(ownerRepo => ownerRepo.full_name);
+        log(`📚 ${repos.length} repositor${repos.length === 1 ? 'y' : 'ies'} of ${repo} to scan`);
+    }
+
+    for (const fullName of repos) {
+        try {
+            await collectRepo(fullName);
+        } catch (error) {
+            if (!isRefusal(error)) throw error;
+            log(`⚠️ Could not scan ${fullName}: ${error.message}`);
+        }
+        await pause();
+    }
+
+    const users = Object.keys(interactions)
+        .filter(login => interactions[login].total >= settings.minInteractions)
+        .sort((a, b) => interactions[b].total - interactions[a].total);
+    return { users, interactions, repos: repos.length };
+}
@@ -0,0 +1,56 @@
+import fs from 'fs';
+
+/**
+ * What a --dry-run would have done: the invites and follows it would have
+ * sent, the users it skipped (with the reason) and the files it would have
+ * committed. Saved as JSON so it can be reviewed before a real run.
+ */
+class RunPlan {
+    constructor({ profile = null, org, teams = [], dailyLimit = null } = {}) {
+        this.data = {
+            generated_at: new Date().toISOString(),
+            profile,
+            org,
+            teams,
+            daily_limit: dailyLimit,
+            invites: [],
+            follows: [],
+            skipped: [],
+            commits: []
+        };
+    }
+
+    addInvite(username, { source, org, teams = [], teamIds = [] }) {
+        this.data.invites.push({ username, source, org, teams, team_ids: teamIds });
+    }
+
+    addFollow(username) {
+        this.data.follows.push({ username });
+    }
+
+    // `reason` is a short category ("already invited"); `details` says more for this user
+    addSkip(username, reason, { source = null, details = null } = {}) {
+        this.data.skipped.push({ username, source, reason, details });
+    }
+
+    addCommit(files, message) {
+        this.data.commits.push({ message, files });
+    }
+
+    // Skipped users grouped by reason, most common first
+    skipSummary() {
+        const counts = new Map();
+        for (const { reason } of this.data.skipped) {
+            counts.set(reason, (counts.get(reason) || 0) + 1);
+        }
+        return Array.from(counts.entries())
+            .map(([reason, count]) => ({ reason, count }))
+            .sort((a, b) => b.count - a.count);
+    }
+
+    save(planPath) {
+        fs.writeFileSync(planPath, JSON.stringify(this.data, null, 2), 'utf8');
+    }
+}
+
+export default RunPlan;
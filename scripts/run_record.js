@@ -0,0 +1,115 @@
+import fs from 'fs';
+import path from 'path';
+
+/**
+ * Audit record of one run of the bot: who ran which command and when, how
+ * many candidates each source produced, why users were skipped, what was
+ * sent or failed, and any rate-limit waits. Saved as `<runsDir>/<id>.json`;
+ * the events of the run are in the event log under the same ID.
+ */
+class RunRecord {
+    constructor(runsDir, { id, command = [], profile = null, org = null, teams = [] }) {
+        this.runsDir = runsDir;
+        this.data = {
+            id,
+            status: 'running',
+            started_at: new Date().toISOString(),
+            ended_at: null,
+            exit_code: null,
+            operator: null,
+            command,
+            profile,
+            org,
+            teams,
+            candidates: {},
+            skipped: {},
+            invites_sent: 0,
+            invites_failed: 0,
+            follows: 0,
+            cancelled: 0,
+            accepted: 0,
+            rate_limit_events: []
+        };
+    }
+
+    get id() {
+        return this.data.id;
+    }
+
+    setOperator(login) {
+        this.data.operator = login;
+    }
+
+    // Candidates a source produced, before any filtering
+    addCandidates(source, count) {
+        this.data.candidates[source] = (this.data.candidates[source] || 0) + count;
+    }
+
+    // Count an event recorded by the event log
+    addEvent(event) {
+        switch (event.type) {
+            case 'invite_sent':
+                this.data.invites_sent++;
+                break;
+            case 'invite_failed':
+                this.data.invites_failed++;
+                break;
+            case 'skipped': {
+                const reason = event.details?.reason || 'unknown';
+                this.data.skipped[reason] = (this.data.skipped[reason] || 0) + 1;
+                break;
+            }
+            case 'followed':
+                this.data.follows++;
+                break;
+            case 'cancelled':
+                this.data.cancelled++;
+                break;
+            case 'accepted':
+                this.data.accepted++;
+                break;
+        }
+    }
+
+    // Mark the run as ended; `rateLimitEvents` are the GitHub client's waits
+    finish({ exitCode = 0, rateLimitEvents = [] } = {}) {
+        this.data.ended_at = new Date().toISOString();
+        this.data.exit_code = exitCode;
+        this.data.status = exitCode === 0 ? 'completed' : 'failed';
+        this.data.rate_limit_events = rateLimitEvents;
+    }
+
+    save() {
+        fs.mkdirSync(this.runsDir, { recursive: true });
+        fs.writeFileSync(path.join(this.runsDir, `${this.id}.json`), JSON.stringify(this.data, null, 2), 'utf8');
+    }
+
+    // Every saved run, newest first
+    static list(runsDir) {
+        if (!fs.existsSync(runsDir)) return [];
+
+        return fs.readdirSync(runsDir)
+            .filter(file => file.endsWith('.json'))
+            .map(file => {
+                try {
+                    return JSON.parse(fs.readFileSync(path.join(runsDir, file), 'utf8'));
+                } catch (error) {
+                    // A run killed mid-write leaves nothing worth listing
+                    return null;
+                }
+            })
+            .filter(Boolean)
+            .sort((a, b) => b.started_at.localeCompare(a.started_at));
+    }
+
+    // The saved run whose ID is or starts with `id`. Throws if the prefix is ambiguous.
+    static find(runsDir, id) {
+        const matches = RunRecord.list(runsDir).filter(run => run.id.startsWith(id));
+        if (matches.length > 1 && !matches.some(run => run.id === id)) {
+            throw new Error(`"${id}" matches ${matches.length} runs: ${matches.slice(0, 5).map(run => run.id).join(', ')}`);
+        }
+        return matches.find(run => run.id === id) || matches[0] || null;
+    }
+}
+
+export default RunRecord;
@@ -0,0 +1,119 @@
+import fs from 'fs';
+
+// Spread invites evenly over a daily sending window, e.g. 09:00-21:00
+export const DEFAULT_SCHEDULE = {
+    windowStart: '09:00',
+    windowEnd: '21:00',
+    // Invites per window; null uses dailyInviteLimit
+    dailyQuota: null,
+    // Also send to pending (not yet reviewed) queue entries, not just approved ones
+    includePending: false
+};
+
+const TIME_OF_DAY_PATTERN = /^([01]\d|2[0-3]):([0-5]\d)$/;
+
+// Problems with a schedule section, as readable messages (empty when valid)
+export function validateSchedule(schedule, prefix = 'schedule') {
+    if (!schedule || typeof schedule !== 'object' || Array.isArray(schedule)) {
+        return [`"${prefix}" must be an object`];
+    }
+
+    const problems = [];
+    for (const [key, value] of Object.entries(schedule)) {
+        if (!(key in DEFAULT_SCHEDULE)) {
+            problems.push(`unknown setting "${prefix}.${key}"`);
+        } else if (key === 'windowStart' || key === 'windowEnd') {
+            if (typeof value !== 'string' || !TIME_OF_DAY_PATTERN.test(value)) {
+                problems.push(`"${prefix}.${key}" must be a time of day such as "09:00"`);
+            }
+        } else if (key === 'dailyQuota') {
+            if (value !== null && !(Number.isInteger(value) && value > 0)) {
+                problems.push(`"${prefix}.${key}" must be a positive integer or null`);
+            }
+        } else if (typeof value !== 'boolean') {
+            problems.push(`"${prefix}.${key}" must be true or false`);
+        }
+    }
+
+    const merged = { ...DEFAULT_SCHEDULE, ...schedule };
+    if (problems.length === 0 && merged.windowEnd <= merged.windowStart) {
+        problems.push(`"${prefix}.windowEnd" must be later than "${prefix}.windowStart"`);
+    }
+    return problems;
+}
+
+// The sending window (local time) on the day of `date`
+export function getWindow(schedule, date = new Date()) {
+    const at = time => {
+        const [hours, minutes] = time.split(':').map(Number);
+        const result = new Date(date);
+        result.setHours(hours, minutes, 0, 0);
+        return result;
+    };
+    return { start: at(schedule.windowStart), end: at(schedule.windowEnd) };
+}
+
+/**
+ * Where a day's sending stands: how many invites are due by `now` if
+ * `quota` invites are spread evenly over the window, how many of those are
+ * still to send, and when the next one is due.
+ */
+export function getScheduleState({ schedule, quota, sentToday, now = new Date() }) {
+    const { start, end } = getWindow(schedule, now);
+    const interval = (end - start) / quota;
+
+    let due;
+    if (now < start) {
+        due = 0;
+    } else if (now >= end) {
+        due = quota;
+    } else {
+        due = Math.min(quota, Math.floor((now - start) / interval) + 1);
+    }
+
+    let nextSlot;
+    if (sentToday >= quota || now >= end) {
+        // Today's quota is used up (or the window has closed): leftovers wait for tomorrow
+        nextSlot = getWindow(schedule, new Date(start.getTime() + 24 * 60 * 60 * 1000)).start;
+    } else {
+        const slot = new Date(start.getTime() + sentToday * interval);
+        nextSlot = slot > now ? slot : now;
+    }
+
+    return { start, end, interval, due, toSend: Math.max(0, due - sentToday), nextSlot };
+}
+
+/**
+ * Make sure only one scheduler sends from a queue at a time. Returns a
+ * release function, or null if another live process holds the lock. A lock
+ * left behind by a process that no longer exists is taken over.
+ */
+export function acquireLock(lockPath) {
+    if (fs.existsSync(lockPath)) {
+        const pid = Number(fs.readFileSync(lockPath, 'utf8').trim());
+        let alive = false;
+        if (pid && pid !== process.pid) {
+            try {
+                process.kill(pid, 0);
+                alive = true;
+            } catch (error) {
+                // EPERM means the process exists but belongs to someone else
+                alive = error.code === 'EPERM';
+            }
+        }
+        if (alive) return null;
+    }
+
+    fs.writeFileSync(lockPath, String(process.pid));
+    const release = () => {
+        try {
+            if (fs.existsSync(lockPath) && fs.readFileSync(lockPath, 'utf8').trim() === String(process.pid)) {
+                fs.unlinkSync(lockPath);
+            }
+        } catch (error) {
+            // Nothing left to clean up
+        }
+    };
+    process.on('exit', release);
+    return release;
+}
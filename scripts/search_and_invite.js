@@ -1,15 +1,17 @@
 import InviteManager from './invite_manager.js';
-import fs from 'fs/promises';
-import path from 'path';
-import { fileURLToPath } from 'url';
-
-const __filename = fileURLToPath(import.meta.url);
-const __dirname = path.dirname(__filename);
+import EventLog from './event_log.js';
+import { loadConfig, getProfileArg } from './config.js';
+import { openStore } from './storage.js';
 
 class SearchAndInvite {
-    constructor() {
-        this.inviteManager = new InviteManager();
-        this.logPath = path.join(__dirname, '..', 'invitation_log.txt');
+    // With a `store` (SqliteStore) the ledger and the event log live in it
+    constructor({ paths } = loadConfig({ profile: getProfileArg() }), store = null) {
+        this.inviteManager = new InviteManager(paths, { store });
+        this.eventLog = new EventLog(paths.events, { store });
+    }
+
+    static async create(settings = loadConfig({ profile: getProfileArg() })) {
+        return new SearchAndInvite(settings, await openStore(settings));
     }
 
     async searchAndInviteUsers(searchTerm) {
@@ -48,21 +50,20 @@ class SearchAndInvite {
     }
 
     async inviteUser(username, searchTerm) {
-        const timestamp = new Date().toISOString();
-        const logEntry = `${timestamp} - ${searchTerm} - ${username}\n`;
-        
-        await fs.appendFile(this.logPath, logEntry);
+        this.eventLog.record('invite_sent', { username, source: searchTerm });
         // Your existing invite implementation
     }
 
     async importExistingInvites() {
-        await this.inviteManager.importFromLog(this.logPath);
+        // The store's ledger already holds every invite of its event log
+        if (this.eventLog.store) return;
+        await this.inviteManager.importFromLog(this.eventLog.logPath);
     }
 }
 
 // Example usage:
 async function main() {
-    const searcher = new SearchAndInvite();
+    const searcher = await SearchAndInvite.create();
     
     // First import existing invites
     await searcher.importExistingInvites();
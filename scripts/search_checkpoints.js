@@ -0,0 +1,173 @@
+import fs from 'fs';
+import { parseGitHubQuery, buildSearchQuery } from './user_search.js';
+
+export const SEARCH_CHECKPOINTS_VERSION = 2;
+
+// Checkpoints share the store's "checkpoints" table with the scan checkpoint
+const STORE_KEY_PREFIX = 'search:';
+
+function emptyCheckpoints() {
+    return { version: SEARCH_CHECKPOINTS_VERSION, searches: {} };
+}
+
+/**
+ * Where each keyword search stands, keyed by its normalized query (see
+ * buildSearchQuery() in user_search.js), so several searches can be in
+ * flight at once:
+ *
+ *   { query, label, until, total_count, slices: { <slice query>: { total_count,
+ *     pages_fetched, split, done } }, users, invited, skipped, complete,
+ *     started_at, last_run_at }
+ *
+ * `until` is the newest sign-up day the search covers, fixed on its first run
+ * so the created: slices stay the same when it is resumed on a later day.
+ * `users` holds every login found so far; `invited` and `skipped` the ones
+ * an invite run has dealt with. A search is complete once every slice has
+ * been fetched, and exhausted once every user found has been dealt with.
+ */
+class SearchCheckpoints {
+    // With `dryRun`, changes are kept in memory only and never written to disk.
+    // With a `store` (SqliteStore), each search is a row of its "checkpoints" table.
+    constructor(checkpointsPath, { dryRun = false, store = null } = {}) {
+        this.checkpointsPath = checkpointsPath;
+        this.dryRun = dryRun;
+        this.store = store;
+        this.data = emptyCheckpoints();
+        // Queries changed since the last save
+        this.dirty = new Set();
+        this.load();
+    }
+
+    load() {
+        if (this.store) {
+            for (const [key, search] of Object.entries(this.store.all('checkpoints'))) {
+                if (key.startsWith(STORE_KEY_PREFIX)) {
+                    this.data.searches[key.slice(STORE_KEY_PREFIX.length)] = search;
+                }
+            }
+            return;
+        }
+        if (!fs.existsSync(this.checkpointsPath)) return;
+
+        const content = fs.readFileSync(this.checkpointsPath, 'utf8');
+        if (!content.trim()) return;
+
+        let data;
+        try {
+            data = JSON.parse(content);
+        } catch (error) {
+            throw new Error(`Search checkpoints ${this.checkpointsPath} are corrupted: ${error.message}`);
+        }
+        if (data.version > SEARCH_CHECKPOINTS_VERSION) {
+            throw new Error(`${this.checkpointsPath} has version ${data.version}; this version reads up to ${SEARCH_CHECKPOINTS_VERSION}`);
+        }
+        if (data.searches) {
+            this.data = data;
+        } else if (data.lastSearch) {
+            this.importLegacyProgress(data);
+        }
+    }
+
+    // The old search_progress.json only kept the last search and the users it
+    // found. It becomes the checkpoint of that query, with every one of those
+    // users still to be dealt with, and is saved in the new format next time.
+    importLegacyProgress({ lastSearch, completedCount = 0, totalCount = null, remainingUsers = [] }) {
+        const search = this.start(buildSearchQuery(parseGitHubQuery(lastSearch)), { label: lastSearch });
+        search.total_count = totalCount;
+        search.users = [...remainingUsers];
+        search.complete = totalCount !== null && completedCount >= totalCount;
+    }
+
+    save() {
+        if (this.dryRun) return;
+        if (this.store) {
+            this.store.putMany('checkpoints', [...this.dirty]
+                .filter(query => this.data.searches[query])
+                .map(query => [`${STORE_KEY_PREFIX}${query}`, this.data.searches[query]]));
+            [...this.dirty]
+                .filter(query => !this.data.searches[query])
+                .forEach(query => this.store.remove('checkpoints', `${STORE_KEY_PREFIX}${query}`));
+            this.dirty.clear();
+            return;
+        }
+        this.dirty.clear();
+        const tempPath = `${this.checkpointsPath}.tmp`;
+        fs.writeFileSync(tempPath, JSON.stringify(this.data, null, 2), 'utf8');
+        fs.renameSync(tempPath, this.checkpointsPath);
+    }
+
+    get(query) {
+        return this.data.searches[query] || null;
+    }
+
+    // The checkpoint of a search, started now if there is none yet
+    // (`label` is the query as it was typed, used as the invite source)
+    start(query, { label = query, until = new Date().toISOString().slice(0, 10) } = {}) {
+        if (!this.data.searches[query]) {
+            this.data.searches[query] = {
+                query,
+                label,
+                until,
+                total_count: null,
+                slices: {},
+                users: [],
+                invited: [],
+                skipped: [],
+                complete: false,
+                started_at: new Date().toISOString(),
+                last_run_at: null
+            };
+        }
+        const search = this.data.searches[query];
+        search.last_run_at = new Date().toISOString();
+        this.dirty.add(query);
+        return search;
+    }
+
+    // Flag a search as changed, e.g. after a page was fetched into it
+    touch(query) {
+        this.dirty.add(query);
+    }
+
+    // Users of a search an invite run sent an invitation to or skipped
+    markHandled(query, { invited = [], skipped = [] }) {
+        const search = this.get(query);
+        if (!search) return;
+
+        const add = (list, usernames) => {
+            const known = new Set(list.map(username => username.toLowerCase()));
+            usernames.filter(username => !known.has(username.toLowerCase())).forEach(username => list.push(username));
+        };
+        add(search.invited, invited);
+        add(search.skipped, skipped);
+        this.dirty.add(query);
+    }
+
+    // Users found by a search that no invite run has dealt with yet
+    remaining(query) {
+        const search = this.get(query);
+        if (!search) return [];
+        const handled = new Set([...search.invited, ...search.skipped].map(username => username.toLowerCase()));
+        return search.users.filter(username => !handled.has(username.toLowerCase()));
+    }
+
+    isExhausted(query) {
+        return Boolean(this.get(query)?.complete) && this.remaining(query).length === 0;
+    }
+
+    // Forget a search, so its next run starts over
+    remove(query) {
+        if (!this.data.searches[query]) return false;
+        delete this.data.searches[query];
+        this.dirty.add(query);
+        return true;
+    }
+
+    // Every search, most recently run first
+    list() {
+        return Object.values(this.data.searches)
+            .sort((a, b) => (b.last_run_at || '').localeCompare(a.last_run_at || ''));
+    }
+}
+
+export default SearchCheckpoints;
@@ -0,0 +1,199 @@
+import fs from 'fs';
+import path from 'path';
+
+// Keyed JSON documents the store holds, one table each
+export const STORE_COLLECTIONS = ['invites', 'candidates', 'profiles', 'followed_users', 'org_members', 'checkpoints'];
+
+// Bump (and extend migrate()) when the tables change
+const SCHEMA_VERSION = 1;
+
+const EVENT_COLUMNS = ['v', 'ts', 'run_id', 'type', 'username', 'org', 'team', 'source_type', 'source_value', 'http_status', 'details'];
+
+/**
+ * Everything the bot keeps between runs, in one local SQLite file: invites,
+ * queued candidates, profile snapshots, followed users, org members, scan
+ * checkpoints and the event log. Documents are stored as JSON under the key
+ * their JSON file uses (a login, or a checkpoint name), so a change writes
+ * one row instead of rewriting a whole JSON file.
+ */
+class SqliteStore {
+    constructor(db, dbPath) {
+        this.db = db;
+        this.dbPath = dbPath;
+        this.migrate();
+    }
+
+    // better-sqlite3 is an optional dependency, only loaded for the sqlite backend
+    static async open(dbPath) {
+        let Database;
+        try {
+            ({ default: Database } = await import('better-sqlite3'));
+        } catch (error) {
+            throw new Error(`The sqlite storage backend needs the better-sqlite3 package (npm install better-sqlite3): ${error.message}`);
+        }
+
+        fs.mkdirSync(path.dirname(dbPath), { recursive: true });
+        const db = new Database(dbPath);
+        db.pragma('journal_mode = WAL');
+        return new SqliteStore(db, dbPath);
+    }
+
+    migrate() {
+        const version = this.db.pragma('user_version', { simple: true });
+        if (version > SCHEMA_VERSION) {
+            throw new Error(`${this.dbPath} uses schema version ${version}; this version supports up to ${SCHEMA_VERSION}`);
+        }
+        if (version === SCHEMA_VERSION) return;
+
+        this.db.exec(`
+            ${STORE_COLLECTIONS.map(collection => `
+                CREATE TABLE IF NOT EXISTS ${collection} (
+                    key TEXT PRIMARY KEY,
+                    data TEXT NOT NULL,
+                    updated_at TEXT NOT NULL
+                );`).join('\n')}
+            CREATE TABLE IF NOT EXISTS events (
+                id INTEGER PRIMARY KEY AUTOINCREMENT,
+                v INTEGER NOT NULL,
+                ts TEXT NOT NULL,
+                run_id TEXT,
+                type TEXT NOT NULL,
+                username TEXT,
+                org TEXT,
+                team TEXT,
+                source_type TEXT,
+                source_value TEXT,
+                http_status INTEGER,
+                details TEXT
+            );
+            CREATE INDEX IF NOT EXISTS events_run_id ON events (run_id);
+            CREATE INDEX IF NOT EXISTS events_username ON events (username COLLATE NOCASE);
+            CREATE INDEX IF NOT EXISTS events_ts ON events (ts);
+            CREATE TABLE IF NOT EXISTS meta (
+                key TEXT PRIMARY KEY,
+                value TEXT NOT NULL
+            );
+        `);
+        this.db.pragma(`user_version = ${SCHEMA_VERSION}`);
+    }
+
+    table(collection) {
+        if (!STORE_COLLECTIONS.includes(collection)) {
+            throw new Error(`Unknown collection: ${collection}`);
+        }
+        return collection;
+    }
+
+    // Every document of a collection as { key: document }
+    all(collection) {
+        const rows = this.db.prepare(`SELECT key, data FROM ${this.table(collection)} ORDER BY key`).all();
+        return Object.fromEntries(rows.map(row => [row.key, JSON.parse(row.data)]));
+    }
+
+    get(collection, key) {
+        const row = this.db.prepare(`SELECT data FROM ${this.table(collection)} WHERE key = ?`).get(key);
+        return row ? JSON.parse(row.data) : null;
+    }
+
+    count(collection) {
+        return this.db.prepare(`SELECT COUNT(*) AS count FROM ${this.table(collection)}`).get().count;
+    }
+
+    put(collection, key, document) {
+        this.putMany(collection, [[key, document]]);
+    }
+
+    // Insert or replace several [key, document] pairs in one transaction
+    putMany(collection, entries) {
+        const statement = this.db.prepare(`
+            INSERT INTO ${this.table(collection)} (key, data, updated_at) VALUES (?, ?, ?)
+            ON CONFLICT (key) DO UPDATE SET data = excluded.data, updated_at = excluded.updated_at
+        `);
+        const now = new Date().toISOString();
+        this.db.transaction(() => {
+            for (const [key, document] of entries) {
+                statement.run(key, JSON.stringify(document), now);
+            }
+        })();
+    }
+
+    remove(collection, key) {
+        return this.db.prepare(`DELETE FROM ${this.table(collection)} WHERE key = ?`).run(key).changes > 0;
+    }
+
+    // Make a collection hold exactly these documents
+    replaceAll(collection, documents) {
+        this.db.transaction(() => {
+            this.db.prepare(`DELETE FROM ${this.table(collection)}`).run();
+            this.putMany(collection, Object.entries(documents));
+        })();
+    }
+
+    getMeta(key, fallback = null) {
+        const row = this.db.prepare('SELECT value FROM meta WHERE key = ?').get(key);
+        return row ? JSON.parse(row.value) : fallback;
+    }
+
+    setMeta(key, value) {
+        this.db.prepare(`
+            INSERT INTO meta (key, value) VALUES (?, ?)
+            ON CONFLICT (key) DO UPDATE SET value = excluded.value
+        `).run(key, JSON.stringify(value));
+    }
+
+    appendEvent(event) {
+        this.appendEvents([event]);
+    }
+
+    appendEvents(events) {
+        const statement = this.db.prepare(`INSERT INTO events (${EVENT_COLUMNS.join(', ')}) VALUES (${EVENT_COLUMNS.map(() => '?').join(', ')})`);
+        this.db.transaction(() => {
+            for (const event of events) {
+                statement.run(...EVENT_COLUMNS.map(column => (column === 'details'
+                    ? (event.details === null || event.details === undefined ? null : JSON.stringify(event.details))
+                    : event[column] ?? null)));
+            }
+        })();
+    }
+
+    // Events oldest first, with the same filters as readEvents() in event_log.js
+    readEvents({ types = null, runId = null, username = null, since = null } = {}) {
+        const conditions = [];
+        const params = [];
+        if (types) {
+            conditions.push(`type IN (${types.map(() => '?').join(', ')})`);
+            params.push(...types);
+        }
+        if (runId) {
+            conditions.push('run_id = ?');
+            params.push(runId);
+        }
+        if (username) {
+            conditions.push('username = ? COLLATE NOCASE');
+            params.push(username);
+        }
+        if (since) {
+            conditions.push('ts >= ?');
+            params.push(new Date(since).toISOString());
+        }
+
+        const where = conditions.length ? `WHERE ${conditions.join(' AND ')}` : '';
+        return this.db.prepare(`SELECT ${EVENT_COLUMNS.join(', ')} FROM events ${where} ORDER BY ts, id`).all(...params)
+            .map(row => ({ ...row, details: row.details === null ? null : JSON.parse(row.details) }));
+    }
+
+    eventCount() {
+        return this.db.prepare('SELECT COUNT(*) AS count FROM events').get().count;
+    }
+
+    // Fold the write-ahead log into the database file, e.g. before copying it
+    checkpoint() {
+        this.db.pragma('wal_checkpoint(TRUNCATE)');
+    }
+
+    close() {
+        this.db.close();
+    }
+}
+
+export default SqliteStore;
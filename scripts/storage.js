@@ -0,0 +1,196 @@
+import fs from 'fs';
+import path from 'path';
+import SqliteStore from './sqlite_store.js';
+import InviteLedger, { LEDGER_VERSION } from './invite_ledger.js';
+import CandidateQueue from './candidate_queue.js';
+import SearchCheckpoints from './search_checkpoints.js';
+import CampaignState from './campaigns.js';
+import CrawlCheckpoints from './contributor_crawl.js';
+import { readEvents } from './event_log.js';
+
+// The SqliteStore for a config using the "sqlite" storage backend, or null
+// when it uses the JSON files (every class then reads and writes its file)
+export async function openStore(settings) {
+    return settings.storage === 'sqlite' ? SqliteStore.open(settings.paths.database) : null;
+}
+
+function readJsonFile(filePath, fallback) {
+    if (!fs.existsSync(filePath)) return fallback;
+    const content = fs.readFileSync(filePath, 'utf8');
+    if (!content.trim()) return fallback;
+    try {
+        return JSON.parse(content);
+    } catch (error) {
+        throw new Error(`${filePath} is not valid JSON: ${error.message}`);
+    }
+}
+
+// Write to a temp file and rename so a crash never leaves a half-written file
+function writeJsonFile(filePath, data, { pretty = true } = {}) {
+    fs.mkdirSync(path.dirname(filePath), { recursive: true });
+    const tempPath = `${filePath}.tmp`;
+    fs.writeFileSync(tempPath, pretty ? JSON.stringify(data, null, 2) : JSON.stringify(data), 'utf8');
+    fs.renameSync(tempPath, filePath);
+}
+
+const eventKey = event => `${event.type}|${event.ts}|${(event.username || '').toLowerCase()}`;
+
+/**
+ * Copy the JSON files named in a config's `paths` into a store: the invite
+ * ledger (any format version, plus invites only found in the logs), the
+ * candidate queue, followed users, org members, search, scan, campaign
+ * and contributor crawl checkpoints, the profiles saved in users_data/ and
+ * the event log (plus the legacy text log). Documents replace the store's
+ * copy; events already in the store are not added twice.
+ * Returns the number of records imported per collection.
+ */
+export function importJsonFiles(store, paths) {
+    const counts = {};
+
+    // Invites only in the logs (installations that predate the ledger) are merged in too
+    const ledger = new InviteLedger(paths.ledger);
+    ledger.importLogFile(paths.log);
+    ledger.importLogFile(paths.events);
+    store.putMany('invites', ledger.entries());
+    store.setMeta('ledger', {
+        last_updated: ledger.data.last_updated,
+        last_reconciled: ledger.data.last_reconciled || null
+    });
+    counts.invites = ledger.entries().length;
+
+    const queue = new CandidateQueue(paths.queue);
+    store.putMany('candidates', Object.entries(queue.data.candidates));
+    counts.candidates = Object.keys(queue.data.candidates).length;
+
+    const followed = readJsonFile(paths.followedUsers, []);
+    store.putMany('followed_users', followed.map(login => [login, { login }]));
+    counts.followed_users = followed.length;
+
+    const members = readJsonFile(paths.members, []);
+    store.replaceAll('org_members', Object.fromEntries(members.map(login => [login, { login }])));
+    counts.org_members = members.length;
+
+    const searches = new SearchCheckpoints(paths.searchProgress, { store });
+    for (const search of new SearchCheckpoints(paths.searchProgress).list()) {
+        searches.data.searches[search.query] = search;
+        searches.touch(search.query);
+    }
+    counts.checkpoints = searches.dirty.size;
+    searches.save();
+    const scanProgress = readJsonFile(paths.scanProgress, null);
+    if (scanProgress) {
+        store.put('checkpoints', 'scan', scanProgress);
+        counts.checkpoints++;
+    }
+    const campaigns = new CampaignState(paths.campaigns, { store });
+    for (const [name, state] of Object.entries(new CampaignState(paths.campaigns).data.campaigns)) {
+        campaigns.data.campaigns[name] = state;
+        campaigns.dirty.add(name);
+    }
+    counts.checkpoints += campaigns.dirty.size;
+    campaigns.save();
+    const crawls = new CrawlCheckpoints(paths.contributorProgress, { store });
+    for (const [key, crawl] of Object.entries(new CrawlCheckpoints(paths.contributorProgress).data.crawls)) {
+        crawls.data.crawls[key] = crawl;
+        crawls.touch(key);
+    }
+    counts.checkpoints += crawls.dirty.size;
+    crawls.save();
+
+    // users_data/ holds one file per fetch; later files win for the same user
+    counts.profiles = 0;
+    if (fs.existsSync(paths.usersDataDir)) {
+        for (const file of fs.readdirSync(paths.usersDataDir).filter(name => name.endsWith('.json')).sort()) {
+            const data = readJsonFile(path.join(paths.usersDataDir, file), null);
+            const profiles = (data?.users || []).filter(profile => profile?.username);
+            // Exported snapshots already carry their own source and date
+            store.putMany('profiles', profiles.map(profile => [profile.username.toLowerCase(), {
+                source_type: data.source_type || null,
+                fetched_on: data.date || null,
+                ...profile
+            }]));
+            counts.profiles += profiles.length;
+        }
+    }
+
+    const existing = new Set(store.readEvents().map(eventKey));
+    const events = [...readEvents(paths.log), ...readEvents(paths.events)]
+        .filter(event => {
+            if (existing.has(eventKey(event))) return false;
+            existing.add(eventKey(event));
+            return true;
+        })
+        .sort((a, b) => a.ts.localeCompare(b.ts));
+    store.appendEvents(events);
+    counts.events = events.length;
+
+    return counts;
+}
+
+/**
+ * Write a store back to the JSON files named in a config's `paths`, in the
+ * formats the JSON backend reads. Existing files are replaced. Profiles are
+ * written to a single users_data/profiles_export_<date>.json.
+ * Returns the number of records exported per collection.
+ */
+export function exportJsonFiles(store, paths) {
+    const counts = {};
+
+    const invitedUsers = store.all('invites');
+    writeJsonFile(paths.ledger, {
+        version: LEDGER_VERSION,
+        invited_users: invitedUsers,
+        last_updated: new Date().toISOString(),
+        total_invites: Object.keys(invitedUsers).length,
+        ...(store.getMeta('ledger', {}).last_reconciled ? { last_reconciled: store.getMeta('ledger').last_reconciled } : {})
+    });
+    counts.invites = Object.keys(invitedUsers).length;
+
+    const candidates = store.all('candidates');
+    writeJsonFile(paths.queue, { version: 1, candidates });
+    counts.candidates = Object.keys(candidates).length;
+
+    const followed = Object.values(store.all('followed_users')).map(entry => entry.login);
+    writeJsonFile(paths.followedUsers, followed, { pretty: false });
+    counts.followed_users = followed.length;
+
+    const members = Object.values(store.all('org_members')).map(entry => entry.login);
+    writeJsonFile(paths.members, members, { pretty: false });
+    counts.org_members = members.length;
+
+    const searches = new SearchCheckpoints(paths.searchProgress, { store });
+    writeJsonFile(paths.searchProgress, searches.data);
+    counts.checkpoints = searches.list().length;
+    const scanProgress = store.get('checkpoints', 'scan');
+    if (scanProgress) {
+        writeJsonFile(paths.scanProgress, scanProgress);
+        counts.checkpoints++;
+    }
+    const campaigns = new CampaignState(paths.campaigns, { store });
+    writeJsonFile(paths.campaigns, campaigns.data);
+    counts.checkpoints += Object.keys(campaigns.data.campaigns).length;
+    const crawls = new CrawlCheckpoints(paths.contributorProgress, { store });
+    writeJsonFile(paths.contributorProgress, crawls.data);
+    counts.checkpoints += Object.keys(crawls.data.crawls).length;
+
+    const profiles = Object.values(store.all('profiles'));
+    counts.profiles = profiles.length;
+    if (profiles.length > 0) {
+        const date = new Date().toISOString().split('T')[0];
+        writeJsonFile(path.join(paths.usersDataDir, `profiles_export_${date}.json`), {
+            source_type: 'export',
+            keyword: 'profiles',
+            date,
+            total_users: profiles.length,
+            users: profiles
+        });
+    }
+
+    const events = store.readEvents();
+    const tempPath = `${paths.events}.tmp`;
+    fs.writeFileSync(tempPath, events.map(event => `${JSON.stringify(event)}\n`).join(''), 'utf8');
+    fs.renameSync(tempPath, paths.events);
+    counts.events = events.length;
+
+    return counts;
+}
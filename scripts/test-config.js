@@ -1,17 +1,7 @@
-import fetch from 'node-fetch';
 import 'dotenv/config';
+import { createClientFromEnv } from './github_client.js';
 
-const GITHUB_TOKEN = process.env.GITHUB_TOKEN;
-
-if (!GITHUB_TOKEN) {
-  console.error('❌ Error: GITHUB_TOKEN not found in environment');
-  process.exit(1);
-}
-
-const headers = {
-  Authorization: `token ${GITHUB_TOKEN}`,
-  Accept: 'application/vnd.github+json',
-};
+const github = createClientFromEnv();
 
 async function testConfiguration() {
   try {
@@ -19,25 +9,16 @@ async function testConfiguration() {
 
     // Test 1: Check authentication
     console.log('Test 1: Checking authentication...');
-    const authRes = await fetch('https://api.github.com/user', { headers });
-    const userData = await authRes.json();
-    
-    if (!authRes.ok) {
-      throw new Error(userData.message);
-    }
+    // Skip the ETag cache so the scopes header always comes from a fresh response
+    const { data: userData, headers } = await github.request('GET', '/user', { useEtag: false });
     
     console.log('✅ Authenticated as:', userData.login);
-    console.log('Token has access to:', userData.scopes || 'unknown scopes');
+    console.log('Token has access to:', headers.get('x-oauth-scopes') || 'unknown scopes');
     console.log();
 
     // Test 2: Check organization access
     console.log('Test 2: Checking organization access...');
-    const orgRes = await fetch('https://api.github.com/user/orgs', { headers });
-    const orgs = await orgRes.json();
-    
-    if (!orgRes.ok) {
-      throw new Error(orgs.message);
-    }
+    const orgs = await github.paginate('/user/orgs');
     
     console.log('✅ You have access to these organizations:');
     orgs.forEach(org => console.log(`   • ${org.login}`));
@@ -45,12 +26,7 @@ async function testConfiguration() {
 
     // Test 3: Check rate limits
     console.log('Test 3: Checking API rate limits...');
-    const rateRes = await fetch('https://api.github.com/rate_limit', { headers });
-    const rateData = await rateRes.json();
-    
-    if (!rateRes.ok) {
-      throw new Error(rateData.message);
-    }
+    const rateData = await github.get('/rate_limit', { useEtag: false });
     
     console.log('✅ Rate limits:');
     console.log(`   • ${rateData.rate.remaining}/${rateData.rate.limit} requests remaining`);
@@ -0,0 +1,232 @@
+// The user search API never returns more than this many results for one query
+export const SEARCH_RESULT_CAP = 1000;
+
+const PER_PAGE = 100;
+
+// No GitHub account is older than this, so it is where open created: ranges start
+const FIRST_ACCOUNT_DATE = '2007-10-01';
+
+// Follower bands a single day of sign-ups is split into when it still has too many matches
+const FOLLOWER_BANDS = ['0', '1..4', '5..19', '20..99', '100..999', '>=1000'];
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const sleep = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+// Split a search query into its keywords and the qualifiers we know how to
+// validate and slice, e.g. 'IIT location:"New Delhi" followers:>10' gives
+// { base: ['IIT'], location: 'New Delhi', followers: '>10', ... }.
+// Other qualifiers (in:login, sort:..., ...) are kept in `base` as they are.
+export function parseGitHubQuery(query) {
+    const filters = {
+        base: [],
+        followers: '',
+        repos: '',
+        language: '',
+        location: '',
+        created: '',
+        pushed: ''
+    };
+
+    // Split query into parts, preserving quoted strings
+    const parts = query.match(/(?:[^\s"]+|"[^"]*")+/g) || [];
+
+    for (const part of parts) {
+        const separator = part.indexOf(':');
+        const key = separator > 0 ? part.slice(0, separator).toLowerCase() : null;
+        if (key in filters && key !== 'base') {
+            filters[key] = part.slice(separator + 1).replace(/^"(.*)"$/, '$1');
+        } else if (key === 'type') {
+            // Searches always ask for type:user
+        } else {
+            filters.base.push(part);
+        }
+    }
+
+    return filters;
+}
+
+// "n", ">n", ">=n", "<n", "<=n", "a..b", "a..*" and "*..b", as GitHub accepts them
+function isRange(value, term) {
+    return new RegExp(`^(?:[<>]=?${term}|${term}|${term}\\.\\.(?:${term}|\\*)|\\*\\.\\.${term})$`).test(value);
+}
+
+export function validateSearchFilters(filters) {
+    const errors = [];
+
+    // Validate numeric filters
+    ['followers', 'repos'].forEach(key => {
+        if (filters[key] && !isRange(filters[key], '\\d+')) {
+            errors.push(`Invalid ${key} filter. Use format: ${key}:>100, ${key}:>=100 or ${key}:10..100`);
+        }
+    });
+
+    // Validate date filters
+    ['created', 'pushed'].forEach(key => {
+        if (filters[key] && !isRange(filters[key], '\\d{4}-\\d{2}-\\d{2}')) {
+            errors.push(`Invalid ${key} filter. Use format: ${key}:>2020-01-01, ${key}:>=2020-01-01 or ${key}:2020-01-01..2020-12-31`);
+        }
+    });
+
+    if (filters.base.length === 0 && !['followers', 'repos', 'language', 'location', 'created', 'pushed'].some(key => filters[key])) {
+        errors.push('Empty query. Give at least one keyword or qualifier');
+    }
+
+    return errors;
+}
+
+// The q parameter of a user search for parsed filters
+export function buildSearchQuery(filters) {
+    const query = ['type:user']; // Add type:user filter to only get individual users
+
+    // Add base keywords
+    if (filters.base.length > 0) {
+        query.push(filters.base.join(' '));
+    }
+
+    // Add filters
+    if (filters.followers) query.push(`followers:${filters.followers}`);
+    if (filters.repos) query.push(`repos:${filters.repos}`);
+    if (filters.language) query.push(`language:${filters.language}`);
+    if (filters.location) query.push(/\s/.test(filters.location) ? `location:"${filters.location}"` : `location:${filters.location}`);
+    if (filters.created) query.push(`created:${filters.created}`);
+    if (filters.pushed) query.push(`pushed:${filters.pushed}`);
+
+    return query.join(' ');
+}
+
+// The API path (for GitHubClient) of one page of a user search
+export function buildGitHubSearchUrl(filters, page) {
+    return `/search/users?q=${encodeURIComponent(buildSearchQuery(filters))}&page=${page}&per_page=${PER_PAGE}`;
+}
+
+const toDate = day => new Date(`${day}T00:00:00Z`);
+const toDay = date => date.toISOString().slice(0, 10);
+const addDays = (day, days) => toDay(new Date(toDate(day).getTime() + days * DAY_MS));
+
+// The first and last sign-up day a created: filter allows
+export function createdRange(created, today = toDay(new Date())) {
+    if (!created) return { from: FIRST_ACCOUNT_DATE, to: today };
+
+    const range = created.match(/^(.+)\.\.(.+)$/);
+    if (range) {
+        return {
+            from: range[1] === '*' ? FIRST_ACCOUNT_DATE : range[1],
+            to: range[2] === '*' ? today : range[2]
+        };
+    }
+
+    const [, operator, day] = created.match(/^([<>]=?)?(.+)$/);
+    switch (operator) {
+        case '>': return { from: addDays(day, 1), to: today };
+        case '>=': return { from: day, to: today };
+        case '<': return { from: FIRST_ACCOUNT_DATE, to: addDays(day, -1) };
+        case '<=': return { from: FIRST_ACCOUNT_DATE, to: day };
+        default: return { from: day, to: day };
+    }
+}
+
+/**
+ * Split a search with too many matches into narrower ones that together
+ * cover it: the created: range is halved, and a single day is split into
+ * follower bands. Returns null when the filters cannot be narrowed further.
+ */
+export function splitSearchFilters(filters, today = toDay(new Date())) {
+    const { from, to } = createdRange(filters.created, today);
+    if (from < to) {
+        const days = Math.round((toDate(to) - toDate(from)) / DAY_MS);
+        const middle = addDays(from, Math.floor(days / 2));
+        return [
+            { ...filters, created: `${from}..${middle}` },
+            { ...filters, created: `${addDays(middle, 1)}..${to}` }
+        ];
+    }
+    if (!filters.followers) {
+        return FOLLOWER_BANDS.map(followers => ({ ...filters, created: from, followers }));
+    }
+    return null;
+}
+
+/**
+ * Collect the logins of every user matching `filters`. Searches with more
+ * than SEARCH_RESULT_CAP matches are split into slices (see
+ * splitSearchFilters) until each slice can be fetched in full; a slice that
+ * cannot be split any further is fetched up to the cap and reported in
+ * `capped`. Returns { users, totalCount, slices, capped }.
+ *
+ * With a `checkpoint` (a search of SearchCheckpoints), the slices and pages
+ * it already holds are not fetched again, every page fetched is added to it
+ * and `onProgress` is called so it can be saved. Its `until` day is used as
+ * the end of open created: ranges.
+ */
+export async function searchUsers(github, filters, { checkpoint = null, onProgress = () => {}, delayMs = 2000, log = console.log } = {}) {
+    const search = checkpoint || { until: toDay(new Date()), total_count: null, slices: {}, users: [], complete: false };
+    const users = new Set(search.users);
+    const result = { users: [], totalCount: search.total_count, slices: 0, capped: [] };
+
+    const fetchPage = async (sliceFilters, page) => {
+        const data = await github.get(buildGitHubSearchUrl(sliceFilters, page));
+        if (delayMs > 0) {
+            // The search API allows 30 requests a minute
+            await sleep(delayMs);
+        }
+        return data;
+    };
+
+    const addPage = (slice, page, items) => {
+        items.forEach(user => users.add(user.login));
+        slice.pages_fetched = page;
+        search.users = Array.from(users);
+        onProgress();
+    };
+
+    const collectSlice = async sliceFilters => {
+        const key = buildSearchQuery(sliceFilters);
+        const slice = search.slices[key] || (search.slices[key] = { total_count: null, pages_fetched: 0, split: false, done: false });
+
+        if (!slice.done && slice.total_count === null) {
+            const first = await fetchPage(sliceFilters, 1);
+            slice.total_count = first.total_count;
+            if (result.totalCount === null) {
+                result.totalCount = search.total_count = first.total_count;
+            }
+            slice.split = first.total_count > SEARCH_RESULT_CAP && splitSearchFilters(sliceFilters, search.until) !== null;
+            if (slice.split) {
+                onProgress();
+            } else {
+                addPage(slice, 1, first.items);
+            }
+        }
+
+        if (slice.split) {
+            for (const part of splitSearchFilters(sliceFilters, search.until)) {
+                await collectSlice(part);
+            }
+            slice.done = true;
+            onProgress();
+            return;
+        }
+
+        result.slices++;
+        if (slice.total_count > SEARCH_RESULT_CAP) {
+            result.capped.push({ query: key, totalCount: slice.total_count });
+        }
+        if (slice.done) return;
+
+        const pageCount = Math.ceil(Math.min(slice.total_count, SEARCH_RESULT_CAP) / PER_PAGE);
+        for (let page = slice.pages_fetched + 1; page <= pageCount; page++) {
+            const data = await fetchPage(sliceFilters, page);
+            if (data.items.length === 0) break;
+            addPage(slice, page, data.items);
+        }
+        slice.done = true;
+        onProgress();
+        log(`   Found ${users.size}/${result.totalCount} users...`);
+    };
+
+    await collectSlice(filters);
+    search.complete = true;
+    onProgress();
+    result.users = Array.from(users);
+    return result;
+}